@@ -2,12 +2,808 @@
  * Safe-Insert PWA - Vanilla JS Implementation
  * 
  * Architecture:
- * - Store: Gerencia estado e persistência (localStorage)
+ * - DB: Persistência (IndexedDB, com fallback para localStorage)
+ * - Schema: Versão do formato dos dados e migrações (dados salvos e backups)
+ * - BackupCrypto: Criptografia dos arquivos de backup com senha
+ * - Csv: Geração e leitura de planilhas no padrão do Excel pt-BR
+ * - Statement: Leitura de extratos bancários (OFX / CSV)
+ * - Zip: Arquivo .zip do backup completo (JSON + anexos)
+ * - Attachments: Fotos e PDFs dos lançamentos (compressão e miniaturas)
+ * - Store: Gerencia estado e regras de negócio
  * - Router: Gerencia qual "View" exibir
  * - UI: Utilitários de renderização de HTML
+ * - PWA: Service worker e avisos de atualização
  * - App: Inicialização
  */
 
+// ==========================================
+// DB (Persistence)
+// ==========================================
+const DB = {
+    name: 'safe-insert',
+    version: 5,
+    collections: ['transactions', 'accounts', 'recurring', 'trash', 'cards', 'clients'], // Um registro por id
+    settings: ['customCategories', 'homeCategories', 'meiLimits', 'trashDays', 'notifications', 'revenueBasis', 'schemaVersion'], // Valores pequenos, guardados inteiros na store 'meta'
+    deviceSettings: ['notifications', 'alertSchedule', 'alertLog'], // Próprias de cada aparelho (permissão, avisos agendados/mostrados): restaurar um backup não as altera
+    files: 'attachments', // Anexos { id, blob, type, name, createdAt }: lidos sob demanda, fora do Store
+    legacyPrefix: 'st_', // Chaves usadas quando tudo ficava no localStorage
+    idb: null, // null = IndexedDB indisponível, usando localStorage
+
+    open() {
+        return new Promise(resolve => {
+            if (!window.indexedDB) return resolve(false);
+
+            let req;
+            try {
+                req = indexedDB.open(this.name, this.version);
+            } catch (e) {
+                // Ex: Firefox em janela privada
+                console.error(e);
+                return resolve(false);
+            }
+
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                this.collections.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                });
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(this.files)) db.createObjectStore(this.files, { keyPath: 'id' });
+            };
+            req.onsuccess = () => {
+                this.idb = req.result;
+                resolve(true);
+            };
+            req.onerror = () => {
+                console.error(req.error);
+                resolve(false);
+            };
+        });
+    },
+
+    // Retorna { transactions, accounts, recurring, trash, cards, clients, customCategories, homeCategories, ... } (apenas o que existir)
+    async load() {
+        await this.open();
+        if (!this.idb) return this.loadLegacy();
+
+        try {
+            await this.migrateLegacy();
+
+            const names = [...this.collections, 'meta'];
+            const tx = this.idb.transaction(names, 'readonly');
+            const result = {};
+            await Promise.all(this.collections.map(async name => {
+                const rows = await this.request(tx.objectStore(name).getAll());
+                // getAll() ordena pelo id; a UI espera a ordem de criação
+                result[name] = rows.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+            }));
+            const meta = await this.request(tx.objectStore('meta').getAll());
+            meta.forEach(m => { result[m.key] = m.value; });
+            return result;
+        } catch (e) {
+            // Migração falhou: os dados continuam no localStorage, seguimos com ele
+            console.error('IndexedDB indisponível, usando localStorage:', e);
+            this.idb = null;
+            return this.loadLegacy();
+        }
+    },
+
+    loadLegacy() {
+        const result = {};
+        [...this.collections, ...this.settings].forEach(key => {
+            const saved = localStorage.getItem(this.legacyPrefix + key);
+            if (!saved) return;
+            try {
+                result[key] = JSON.parse(saved);
+            } catch (e) {
+                // Uma chave corrompida não derruba as outras; ela fica no localStorage
+                console.error(`Dados antigos ilegíveis em ${this.legacyPrefix + key}:`, e);
+            }
+        });
+        return result;
+    },
+
+    // Copia as chaves st_* para o IndexedDB (primeira execução após a atualização)
+    async migrateLegacy() {
+        const legacy = this.loadLegacy();
+        if (Object.keys(legacy).length === 0) return;
+
+        const base = Date.now();
+        const tx = this.idb.transaction([...this.collections, 'meta'], 'readwrite');
+        this.collections.forEach(name => {
+            (legacy[name] || []).forEach((record, index) => {
+                // Preserva a ordem original para registros antigos sem data de criação
+                if (!record.createdAt) record.createdAt = new Date(base + index).toISOString();
+                tx.objectStore(name).put(record);
+            });
+        });
+        this.settings.forEach(key => {
+            if (legacy[key]) tx.objectStore('meta').put({ key, value: legacy[key] });
+        });
+        await this.complete(tx);
+
+        // Só remove depois que a gravação no IndexedDB foi confirmada (e só o que foi lido)
+        Object.keys(legacy).forEach(key => localStorage.removeItem(this.legacyPrefix + key));
+    },
+
+    // ops: [{ type: 'put', store, value } | { type: 'delete', store, key } | { type: 'clear', store }]
+    commit(ops, data) {
+        if (!this.idb) {
+            // Fallback: reescreve apenas as listas afetadas
+            const touched = new Set();
+            ops.forEach(op => {
+                if (op.store === 'meta') localStorage.setItem(this.legacyPrefix + op.value.key, JSON.stringify(op.value.value));
+                else touched.add(op.store);
+            });
+            touched.forEach(name => localStorage.setItem(this.legacyPrefix + name, JSON.stringify(data[name])));
+            return Promise.resolve();
+        }
+
+        const tx = this.idb.transaction([...new Set(ops.map(op => op.store))], 'readwrite');
+        ops.forEach(op => {
+            const store = tx.objectStore(op.store);
+            if (op.type === 'put') store.put(op.value);
+            else if (op.type === 'delete') store.delete(op.key);
+            else if (op.type === 'clear') store.clear();
+        });
+        return this.complete(tx);
+    },
+
+    async clear() {
+        localStorage.clear();
+        if (!this.idb) return;
+
+        const names = [...this.collections, 'meta', this.files];
+        const tx = this.idb.transaction(names, 'readwrite');
+        names.forEach(name => tx.objectStore(name).clear());
+        await this.complete(tx);
+    },
+
+    // Anexos: só no IndexedDB (o localStorage não comporta arquivos)
+    async putFiles(records) {
+        if (!this.idb) throw new Error('Anexos precisam do armazenamento do navegador (IndexedDB), indisponível aqui (ex: janela privada).');
+        const tx = this.idb.transaction(this.files, 'readwrite');
+        records.forEach(record => tx.objectStore(this.files).put(record));
+        await this.complete(tx);
+    },
+
+    async getFile(id) {
+        if (!this.idb) return null;
+        return (await this.request(this.idb.transaction(this.files).objectStore(this.files).get(id))) || null;
+    },
+
+    async getAllFiles() {
+        if (!this.idb) return [];
+        return this.request(this.idb.transaction(this.files).objectStore(this.files).getAll());
+    },
+
+    async getFileIds() {
+        if (!this.idb) return [];
+        return this.request(this.idb.transaction(this.files).objectStore(this.files).getAllKeys());
+    },
+
+    async deleteFiles(ids) {
+        if (!this.idb || ids.length === 0) return;
+        const tx = this.idb.transaction(this.files, 'readwrite');
+        ids.forEach(id => tx.objectStore(this.files).delete(id));
+        await this.complete(tx);
+    },
+
+    // Helpers (IDBRequest / IDBTransaction -> Promise)
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+};
+
+// ==========================================
+// SCHEMA (Data Versioning)
+// ==========================================
+const Schema = {
+    version: 7,
+
+    // migrations[n] converte um payload da versão n para a versão n + 1.
+    // Dados sem schemaVersion (app original) são tratados como versão 1.
+    migrations: {
+        1(data) {
+            // v2: normaliza os campos que as versões antigas gravavam de forma opcional
+            const num = v => parseFloat(v) || 0;
+            return {
+                ...data,
+                transactions: (data.transactions || []).map(t => ({
+                    ...t,
+                    amount: num(t.amount),
+                    createdAt: t.createdAt || t.date,
+                    isHomeExpense: !!t.isHomeExpense,
+                    isPaid: !!t.isPaid,
+                    isReminder: !!t.isReminder
+                })),
+                accounts: (data.accounts || []).map(a => ({
+                    ...a,
+                    type: a.type || 'mei',
+                    cnpj: a.cnpj || '',
+                    description: a.description || '',
+                    initialBalance: num(a.initialBalance)
+                })),
+                recurring: (data.recurring || []).map(r => ({
+                    ...r,
+                    type: r.type || 'fixed',
+                    amount: num(r.amount),
+                    day: parseInt(r.day) || 10,
+                    active: r.active !== false
+                }))
+            };
+        },
+        2(data) {
+            // v3: o "Saldo Inicial (Ano)" do MEI também contava como faturamento do ano corrente.
+            // O faturamento anterior ao app passa a ser por ano (openingRevenue); initialBalance fica só como saldo.
+            const currentYear = new Date().getFullYear();
+            return {
+                ...data,
+                accounts: data.accounts.map(a => {
+                    if (a.type !== 'mei' || a.openingRevenue) return a;
+                    const year = a.createdAt ? new Date(a.createdAt).getFullYear() : currentYear;
+                    return { ...a, openingRevenue: a.initialBalance > 0 ? { [year]: a.initialBalance } : {} };
+                })
+            };
+        },
+        3(data) {
+            // v4: lixeira (registros excluídos que ainda podem ser restaurados)
+            return { ...data, trash: data.trash || [] };
+        },
+        4(data) {
+            // v5: recorrentes com frequência, início/fim e número de vezes. Regras antigas continuam mensais e sem limite
+            return {
+                ...data,
+                recurring: data.recurring.map(r => ({
+                    ...r,
+                    frequency: r.frequency || 'monthly',
+                    interval: r.interval || 1,
+                    startDate: r.startDate || '',
+                    endDate: r.endDate || '',
+                    count: r.count || null
+                }))
+            };
+        },
+        5(data) {
+            // v6: cartões de crédito (compras com cardId entram na fatura pelo dia de fechamento)
+            return { ...data, cards: data.cards || [] };
+        },
+        6(data) {
+            // v7: cadastro de clientes (entradas com clientId)
+            return { ...data, clients: data.clients || [] };
+        }
+    },
+
+    isNewer(data) {
+        return (data.schemaVersion || 1) > this.version;
+    },
+
+    migrate(data) {
+        let version = data.schemaVersion || 1;
+        if (version > this.version) {
+            throw new Error(`Estes dados foram criados por uma versão mais nova do Safe-Insert (formato v${version}; este app lê até a v${this.version}). Atualize o app e tente novamente.`);
+        }
+        while (version < this.version) {
+            data = this.migrations[version](data);
+            version++;
+        }
+        return { ...data, schemaVersion: version };
+    }
+};
+
+// ==========================================
+// BACKUP CRYPTO (Password-protected backups)
+// ==========================================
+const BackupCrypto = {
+    format: 'safe-insert-encrypted',
+    extension: '.sinsert',
+    iterations: 310000, // PBKDF2-SHA256 (recomendação OWASP)
+    maxIterations: 10000000, // Teto para o valor lido do arquivo: acima disso a derivação travaria o navegador
+
+    isEncrypted(text) {
+        try {
+            return JSON.parse(text).format === this.format;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    async deriveKey(passphrase, salt, iterations) {
+        if (!crypto.subtle) throw new Error('Criptografia indisponível neste navegador. Abra o app via https.');
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // content: 'json' (texto do backup) ou 'zip' (bytes do backup completo)
+    async encrypt(plain, passphrase, content = 'json') {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const bytes = typeof plain === 'string' ? new TextEncoder().encode(plain) : plain;
+        const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+
+        return JSON.stringify({
+            format: this.format,
+            version: 1,
+            content,
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.iterations,
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(cipher))
+        });
+    },
+
+    // Arquivos anteriores ao backup completo criptografado não têm o campo
+    contentOf(fileText) {
+        return JSON.parse(fileText).content || 'json';
+    },
+
+    async decrypt(fileText, passphrase) {
+        return new TextDecoder().decode(await this.decryptBuffer(fileText, passphrase));
+    },
+
+    // Lança Error com mensagem para o usuário quando a senha está errada
+    async decryptBuffer(fileText, passphrase) {
+        const payload = JSON.parse(fileText);
+        const { iterations } = payload;
+        if (!Number.isInteger(iterations) || iterations < 1000 || iterations > this.maxIterations) {
+            throw new Error('Arquivo criptografado inválido: parâmetros de senha fora do esperado.');
+        }
+        try {
+            const key = await this.deriveKey(passphrase, this.fromBase64(payload.salt), iterations);
+            return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data));
+        } catch (e) {
+            if (!crypto.subtle) throw e; // Mensagem de "abra via https" de deriveKey
+            // AES-GCM não distingue senha errada de arquivo alterado (nem base64 inválido)
+            throw new Error('Senha incorreta ou arquivo corrompido.');
+        }
+    },
+
+    // Helpers (em blocos para não estourar o limite de argumentos em backups grandes)
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+};
+
+// ==========================================
+// CSV (Spreadsheet export)
+// ==========================================
+const Csv = {
+    separator: ';', // Excel pt-BR usa vírgula como separador decimal
+    bom: '\uFEFF', // Sem o BOM o Excel abre UTF-8 como Latin-1 (acentos quebrados)
+
+    build(header, rows) {
+        const lines = [header, ...rows].map(row => row.map(v => this.escape(v)).join(this.separator));
+        return this.bom + lines.join('\r\n');
+    },
+
+    escape(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // 1234.5 -> "1234,50" (sem separador de milhar, para o Excel reconhecer como número)
+    number(value) {
+        return (value || 0).toFixed(2).replace('.', ',');
+    },
+
+    date(dateStr) {
+        return new Date(dateStr).toLocaleDateString('pt-BR');
+    },
+
+    yesNo(flag) {
+        return flag ? 'Sim' : 'Não';
+    },
+
+    // Texto -> linhas/colunas, respeitando campos entre aspas
+    parse(text, separator = this.separator) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === separator) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+};
+
+// ==========================================
+// STATEMENT (Bank statement import)
+// ==========================================
+const Statement = {
+    // Retorna [{ date, amount, type: 'income'|'expense', description, fitId }]
+    parse(text, fileName) {
+        const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text);
+        const entries = isOfx ? this.parseOfx(text) : this.parseCsv(text);
+        if (entries.length === 0) {
+            throw new Error('Nenhum lançamento encontrado. Verifique se o arquivo é um extrato OFX ou CSV.');
+        }
+        return entries;
+    },
+
+    // Bancos brasileiros ainda exportam muito em Latin-1
+    decode(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            return new TextDecoder('windows-1252').decode(buffer);
+        }
+    },
+
+    // OFX 1.x é SGML: as tags de fechamento são opcionais
+    parseOfx(text) {
+        return text.split(/<STMTTRN>/i).slice(1).map(block => {
+            const field = tag => {
+                const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+                return m ? m[1].trim() : '';
+            };
+            return this.entry(
+                this.parseDate(field('DTPOSTED').slice(0, 8)),
+                this.parseAmount(field('TRNAMT')),
+                field('MEMO') || field('NAME'),
+                field('FITID')
+            );
+        }).filter(Boolean);
+    },
+
+    parseCsv(text) {
+        const rows = Csv.parse(text, this.detectSeparator(text)).filter(r => r.some(c => c.trim()));
+
+        // Alguns bancos colocam linhas de cabeçalho do extrato antes da tabela
+        const headerIndex = rows.slice(0, 15).findIndex(r => this.findColumns(r));
+        const cols = headerIndex !== -1 ? this.findColumns(rows[headerIndex]) : this.guessColumns(rows);
+        if (!cols) return [];
+
+        return rows.slice(headerIndex + 1).map(r => {
+            let amount = this.parseAmount(r[cols.amount]);
+            const kind = (r[cols.type] || '').trim();
+            // Só a palavra inteira: "Compra" ou "Depósito" não dizem o sinal, fica o do valor
+            if (/^(d|deb|d[eé]bito|sa[ií]da)$/i.test(kind)) amount = -Math.abs(amount);
+            else if (/^(c|cred|cr[eé]dito|entrada)$/i.test(kind)) amount = Math.abs(amount);
+
+            return this.entry(this.parseDate(r[cols.date]), amount, r[cols.description], r[cols.fitId]);
+        }).filter(Boolean);
+    },
+
+    detectSeparator(text) {
+        const sample = text.split(/\r?\n/).slice(0, 10).join('\n');
+        return [';', '\t', ','].reduce((best, sep) =>
+            sample.split(sep).length > sample.split(best).length ? sep : best
+        );
+    },
+
+    // Layouts comuns (Nubank, Itaú, Inter, BB...) pelo nome das colunas
+    findColumns(header) {
+        const names = header.map(h => h.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim());
+        const find = re => names.findIndex(h => re.test(h));
+
+        const date = find(/^data|^date/);
+        const amount = find(/valor|amount|quantia|montante/);
+        if (date === -1 || amount === -1) return null;
+
+        let description = find(/descri|historico|detalhe|title|memo|estabelecimento/);
+        if (description === -1) description = find(/lancamento/);
+
+        return { date, amount, description, type: find(/^tipo|d\/c|natureza/), fitId: find(/identificador|fitid/) };
+    },
+
+    // Sem cabeçalho (ex: Itaú "data;lançamento;valor"): deduz pelo conteúdo da primeira linha
+    guessColumns(rows) {
+        const first = rows[0] || [];
+        const date = first.findIndex(c => this.parseDate(c));
+        const amount = first.findIndex((c, i) => i !== date && /\d/.test(c) && !isNaN(this.parseAmount(c)));
+        const description = first.findIndex((c, i) => i !== date && i !== amount && /[a-z]/i.test(c));
+        if (date === -1 || amount === -1) return null;
+        return { date, amount, description, type: -1, fitId: -1 };
+    },
+
+    entry(date, amount, description, fitId) {
+        if (!date || !amount || isNaN(amount)) return null;
+        return {
+            date,
+            amount: Math.abs(amount),
+            type: amount > 0 ? 'income' : 'expense',
+            description: (description || '').trim(),
+            fitId: fitId || ''
+        };
+    },
+
+    // "1.234,56", "-1234.56", "R$ 50,00 D", "(12,00)" -> número com sinal
+    parseAmount(value) {
+        let text = String(value || '').replace(/R\$|\s/g, '');
+        const negative = /^-|-$|^\(.*\)$|D$/i.test(text);
+        text = text.replace(/[^\d.,]/g, '');
+        if (!text) return NaN;
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma > lastDot) text = text.replace(/\./g, '').replace(',', '.');
+        else if (lastComma !== -1) text = text.replace(/,/g, '');
+        else if (/^\d{1,3}(\.\d{3})+$/.test(text)) text = text.replace(/\./g, '');
+
+        const n = parseFloat(text);
+        return negative ? -n : n;
+    },
+
+    // dd/mm/aaaa, dd/mm/aa, aaaa-mm-dd ou aaaammdd (OFX) -> ISO ao meio-dia
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let m = text.match(/^(\d{2})\/(\d{2})\/(\d{2,4})/);
+        if (m) {
+            const year = m[3].length === 2 ? 2000 + parseInt(m[3]) : parseInt(m[3]);
+            return new Date(year, m[2] - 1, parseInt(m[1]), 12, 0, 0).toISOString();
+        }
+        m = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+        if (m) return new Date(parseInt(m[1]), m[2] - 1, parseInt(m[3]), 12, 0, 0).toISOString();
+        return null;
+    }
+};
+
+// ==========================================
+// ZIP (Backup completo com anexos)
+// ==========================================
+// Entradas sem compressão (método 0): as fotos já são JPEG e PDFs quase não encolhem
+const Zip = {
+    signatures: { local: 0x04034b50, central: 0x02014b50, end: 0x06054b50 },
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // files: [{ name, data: Uint8Array }] -> Blob
+    create(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1); // Formato do MS-DOS
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const size = file.data.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, this.signatures.local, true);
+            local.setUint16(4, 20, true); // Versão necessária (2.0)
+            local.setUint16(6, 0x0800, true); // Nomes em UTF-8
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, this.signatures.central, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = central.reduce((acc, part) => acc + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, this.signatures.end, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    },
+
+    // ArrayBuffer -> [{ name, data: Uint8Array }]. Lança Error com mensagem para o usuário
+    read(buffer) {
+        try {
+            return this.readEntries(buffer);
+        } catch (e) {
+            // Offsets fora do arquivo (zip truncado) estouram no DataView com RangeError
+            if (e instanceof RangeError) throw new Error('Arquivo .zip inválido ou corrompido.');
+            throw e;
+        }
+    },
+
+    readEntries(buffer) {
+        const invalid = new Error('Arquivo .zip inválido ou corrompido.');
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // Fim do diretório central: últimos 22 bytes, seguidos de um comentário opcional
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === this.signatures.end) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw invalid;
+
+        const files = [];
+        const decoder = new TextDecoder();
+        let pos = view.getUint32(end + 16, true);
+        for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+            if (view.getUint32(pos, true) !== this.signatures.central) throw invalid;
+            const method = view.getUint16(pos + 10, true);
+            const size = view.getUint32(pos + 20, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const localOffset = view.getUint32(pos + 42, true);
+            const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+            if (!name.endsWith('/')) {
+                if (method !== 0) throw new Error('Este .zip foi recompactado por outro programa. Use o arquivo baixado pelo app.');
+                const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                if (start + size > bytes.length) throw invalid;
+                files.push({ name, data: bytes.slice(start, start + size) });
+            }
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+        return files;
+    }
+};
+
+// ==========================================
+// ATTACHMENTS (Receipt photos & PDFs)
+// ==========================================
+// O lançamento guarda { id, name, type, size, thumb } em t.attachments; o arquivo fica em DB.files
+const Attachments = {
+    maxSide: 1600, // Lado maior da foto gravada (px): comprovante continua legível com ~200-400 KB
+    quality: 0.7,
+    thumbSide: 160, // Miniatura (data URL) das listas, sem ler o IndexedDB
+    maxPdfSize: 10 * 1024 * 1024,
+    extensions: { 'image/jpeg': 'jpg', 'application/pdf': 'pdf' },
+
+    // File -> { meta, blob }. Fotos viram JPEG reduzido; PDFs vão como estão. Lança Error com mensagem para o usuário
+    async prepare(file) {
+        const id = crypto.randomUUID();
+        if (file.type === 'application/pdf') {
+            if (file.size > this.maxPdfSize) throw new Error(`O PDF ${file.name} passa de 10 MB.`);
+            return { meta: { id, name: file.name, type: file.type, size: file.size, thumb: '' }, blob: file };
+        }
+        if (!file.type.startsWith('image/')) throw new Error(`${file.name}: anexe uma foto ou um PDF.`);
+
+        const image = await this.loadImage(file);
+        const blob = await this.toBlob(this.draw(image, this.maxSide));
+        const thumb = this.draw(image, this.thumbSide).toDataURL('image/jpeg', 0.6);
+        return { meta: { id, name: file.name.replace(/\.[^.]+$/, '') + '.jpg', type: 'image/jpeg', size: blob.size, thumb }, blob };
+    },
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Não foi possível abrir a imagem ${file.name}.`));
+            };
+            image.src = url;
+        });
+    },
+
+    // Reduz para caber em side x side (nunca amplia); fundo branco para PNG transparente
+    draw(image, side) {
+        const scale = Math.min(1, side / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    },
+
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Não foi possível comprimir a imagem.')), 'image/jpeg', this.quality);
+        });
+    },
+
+    // Caminho dentro do backup completo: anexos/<id>.<ext>
+    archiveName(record) {
+        return `anexos/${record.id}.${this.extensions[record.type] || 'bin'}`;
+    },
+
+    // Entradas anexos/* do .zip -> registros de DB.files
+    fromArchive(files) {
+        const types = Object.fromEntries(Object.entries(this.extensions).map(([type, ext]) => [ext, type]));
+        const createdAt = new Date().toISOString();
+        return files
+            .filter(f => f.name.startsWith('anexos/'))
+            .map(f => {
+                const [id, ext] = f.name.slice('anexos/'.length).split('.');
+                const type = types[ext] || 'application/octet-stream';
+                return { id, blob: new Blob([f.data], { type }), type, name: f.name.slice('anexos/'.length), createdAt };
+            });
+    }
+};
+
 // ==========================================
 // STORE (Data Management)
 // ==========================================
@@ -18,32 +814,86 @@ const Store = {
         homeCategories: ['Água', 'Luz', 'Internet', 'Aluguel', 'Cartão de Crédito'],
         selectedDate: new Date().toISOString(),
         selectedMonth: new Date().toISOString(),
+        meiMonth: new Date().toISOString(), // Ano/mês exibido nos limites da aba Contas
         reportFilter: 'monthly', // weekly, monthly, yearly, custom
         reportStartDate: '', // YYYY-MM-DD
         reportEndDate: '', // YYYY-MM-DD
-        accounts: [], // { id, name, type: 'mei'|'cash', initialBalance, currentBalance }
+        accounts: [], // { id, name, type: 'mei'|'cash', initialBalance, openingRevenue: { [ano]: valor }, openingDate, archived }
         recurring: [],
+        meiLimits: { 2018: 81000 }, // Limite anual do MEI a partir de cada ano (vale até o próximo ano da tabela)
+        trash: [], // { id, store, record, deletedAt }
+        trashDays: 30, // Itens da lixeira são apagados de vez depois disso
+        cards: [], // { id, name, closingDay, dueDay, limit }
+        clients: [], // { id, name, document (CPF/CNPJ), phone }
+        notifications: { enabled: false, daysBefore: 1 }, // Avisos de vencimento (opt-in)
+        revenueBasis: 'billed', // Faturamento nos limites do MEI e relatórios: 'billed' (vendas) ou 'received' (recebimentos)
+        schemaVersion: Schema.version,
     },
 
-    init() {
-        const savedTrans = localStorage.getItem('st_transactions');
-        const savedCustomCats = localStorage.getItem('st_customCategories');
-        const savedHomeCats = localStorage.getItem('st_homeCategories');
-        const savedAccounts = localStorage.getItem('st_accounts');
-        const savedRecurring = localStorage.getItem('st_recurring');
-
-        if (savedTrans) this.data.transactions = JSON.parse(savedTrans);
-        if (savedCustomCats) this.data.customCategories = JSON.parse(savedCustomCats);
-        if (savedHomeCats) this.data.homeCategories = JSON.parse(savedHomeCats);
-        if (savedRecurring) this.data.recurring = JSON.parse(savedRecurring);
-
-        if (savedAccounts) {
-            this.data.accounts = JSON.parse(savedAccounts);
+    pending: [], // Gravações aguardando o próximo save()
+
+    // Natureza da receita (campo revenueType das entradas), como no Relatório Mensal do MEI
+    revenueTypes: {
+        commerce: 'Comércio (revenda de mercadorias)',
+        industry: 'Indústria (produtos industrializados)',
+        services: 'Prestação de serviços'
+    },
+
+    // Alíquota da 1ª faixa do Simples Nacional por natureza (Anexos I, II e III), usada nas estimativas de excesso
+    simplesRates: {
+        commerce: 0.04,
+        industry: 0.045,
+        services: 0.06
+    },
+
+    // Atividade do MEI para o DAS (account.das.activity)
+    dasActivities: {
+        commerce: 'Comércio / Indústria',
+        services: 'Serviços',
+        both: 'Comércio e Serviços'
+    },
+
+    // Valor fixo do DAS-MEI por ano: INSS (5% do salário mínimo) + ICMS R$ 1 e/ou ISS R$ 5
+    dasDefaults: {
+        2024: { commerce: 71.60, services: 75.60, both: 76.60 },
+        2025: { commerce: 76.90, services: 80.90, both: 81.90 },
+        2026: { commerce: 82.05, services: 86.05, both: 87.05 }
+    },
+
+    async init() {
+        let saved = await DB.load();
+
+        if (Schema.isNewer(saved)) {
+            // App antigo (ex: cache desatualizado) com dados de uma versão mais nova: mantém como está, sem migrar
+            alert('Os dados deste aparelho são de uma versão mais nova do Safe-Insert. Atualize o app para evitar perda de informações.');
+        } else if (saved.schemaVersion !== Schema.version) {
+            saved = Schema.migrate(saved);
+            // Regrava os registros já no formato atual
+            DB.collections.forEach(name => saved[name].forEach(record => this.queuePut(name, record)));
+            this.queueSetting('schemaVersion');
+        }
+
+        if (saved.schemaVersion) this.data.schemaVersion = saved.schemaVersion;
+        if (saved.transactions) this.data.transactions = saved.transactions;
+        if (saved.customCategories) this.data.customCategories = saved.customCategories;
+        if (saved.homeCategories) this.data.homeCategories = saved.homeCategories;
+        if (saved.meiLimits) this.data.meiLimits = saved.meiLimits;
+        if (saved.recurring) this.data.recurring = saved.recurring;
+        if (saved.trash) this.data.trash = saved.trash;
+        if (saved.trashDays) this.data.trashDays = saved.trashDays;
+        if (saved.cards) this.data.cards = saved.cards;
+        if (saved.clients) this.data.clients = saved.clients;
+        if (saved.notifications) this.data.notifications = saved.notifications;
+        if (saved.revenueBasis) this.data.revenueBasis = saved.revenueBasis;
+
+        if (saved.accounts && saved.accounts.length > 0) {
+            this.data.accounts = saved.accounts;
         } else {
             // Default Accounts
             this.data.accounts = [
-                { id: 'cash-1', name: 'Dinheiro (Não Fiscal)', type: 'cash', initialBalance: 0 }
+                { id: 'cash-1', name: 'Dinheiro (Não Fiscal)', type: 'cash', initialBalance: 0, createdAt: new Date().toISOString() }
             ];
+            this.queuePut('accounts', this.data.accounts[0]);
             this.save();
         }
 
@@ -54,32 +904,99 @@ const Store = {
         this.data.reportStartDate = firstDay.toISOString().split('T')[0];
         this.data.reportEndDate = lastDay.toISOString().split('T')[0];
 
+        this.purgeTrash();
         this.ensureRecurringForMonth(this.data.selectedMonth);
+        this.ensureDasBills();
+    },
+
+    // Persistência por registro: cada alteração entra na fila e save() grava tudo numa única transação
+    queuePut(store, record) {
+        this.pending.push({ type: 'put', store, value: record });
+    },
+
+    queueDelete(store, id) {
+        this.pending.push({ type: 'delete', store, key: id });
+    },
+
+    queueSetting(key) {
+        this.queuePut('meta', { key, value: this.data[key] });
     },
 
     save() {
-        localStorage.setItem('st_transactions', JSON.stringify(this.data.transactions));
-        localStorage.setItem('st_customCategories', JSON.stringify(this.data.customCategories));
-        localStorage.setItem('st_homeCategories', JSON.stringify(this.data.homeCategories));
-        localStorage.setItem('st_accounts', JSON.stringify(this.data.accounts));
-        localStorage.setItem('st_recurring', JSON.stringify(this.data.recurring));
+        const ops = this.pending;
+        this.pending = [];
+        if (ops.length > 0) {
+            DB.commit(ops, this.data).catch(err => {
+                console.error('Erro ao salvar dados:', err);
+                ui.showToast('Erro ao salvar os dados neste dispositivo.');
+            });
+        }
         // Trigger UI update
         router.renderResults();
+        pwa.scheduleAlertSync();
     },
 
     addRecurring(item) {
-        item.id = crypto.randomUUID();
+        item.id = item.id || crypto.randomUUID();
+        item.createdAt = new Date().toISOString();
         item.active = true;
         this.data.recurring.push(item);
+        this.queuePut('recurring', item);
         this.save();
         this.ensureRecurringForMonth(this.data.selectedMonth);
     },
 
     deleteRecurring(id) {
-        this.data.recurring = this.data.recurring.filter(r => r.id !== id);
-
         // Optionally ask to delete future transactions? For now just delete the rule.
-        this.save();
+        return this.moveToTrash('recurring', id);
+    },
+
+    // frequency: 'weekly' | 'biweekly' | 'monthly' (a cada interval meses) | 'yearly'
+    recurrenceFrequencies: {
+        weekly: 'Semanal',
+        biweekly: 'Quinzenal',
+        monthly: 'Mensal / a cada N meses',
+        yearly: 'Anual'
+    },
+
+    // Datas (meio-dia) em que a regra gera lançamento no mês, respeitando início, fim e número de vezes
+    getRuleOccurrences(rule, year, month) {
+        const frequency = rule.frequency || 'monthly';
+        const start = rule.startDate ? new Date(rule.startDate + 'T12:00:00') : null;
+        const end = rule.endDate ? new Date(rule.endDate + 'T12:00:00') : null;
+        const occurrences = []; // { date, index }
+
+        if (frequency === 'weekly' || frequency === 'biweekly') {
+            const step = frequency === 'weekly' ? 7 : 14;
+            const anchor = start || new Date(rule.createdAt);
+            anchor.setHours(12, 0, 0, 0);
+            const first = new Date(year, month, 1, 12);
+            const days = Math.round((first - anchor) / (24 * 60 * 60 * 1000));
+
+            for (let index = Math.max(0, Math.ceil(days / step)); ; index++) {
+                const date = new Date(anchor);
+                date.setDate(anchor.getDate() + index * step);
+                if (date.getFullYear() > year || (date.getFullYear() === year && date.getMonth() > month)) break;
+                occurrences.push({ date, index });
+            }
+        } else {
+            const interval = frequency === 'yearly' ? 12 : (rule.interval || 1);
+            let index = 0;
+            if (start) {
+                const diff = (year * 12 + month) - (start.getFullYear() * 12 + start.getMonth());
+                if (diff < 0 || diff % interval !== 0) return [];
+                index = diff / interval;
+            }
+
+            const date = new Date(year, month, rule.day || (start ? start.getDate() : 10), 12, 0, 0);
+            // Safe check for invalid date (e.g. Feb 30)
+            if (date.getMonth() !== month) date.setDate(0);
+            occurrences.push({ date, index });
+        }
+
+        return occurrences
+            .filter(o => (!start || this.dateKey(o.date) >= rule.startDate) && (!end || o.date <= end) && (!rule.count || o.index < rule.count))
+            .map(o => o.date);
     },
 
     ensureRecurringForMonth(monthDateStr) {
@@ -87,26 +1004,47 @@ const Store = {
         const month = dateObj.getMonth();
         const year = dateObj.getFullYear();
 
+        // Lançamentos na lixeira contam como gerados, para a exclusão não ser desfeita sozinha
+        const generated = [
+            ...this.data.transactions,
+            ...this.data.trash.filter(e => e.store === 'transactions').map(e => e.record)
+        ].filter(t => t.recurringId);
+
         this.data.recurring.forEach(rule => {
             if (!rule.active) return;
 
-            // Check if transaction already exists for this rule + month + year
-            const exists = this.data.transactions.some(t =>
-                t.recurringId === rule.id &&
-                new Date(t.date).getMonth() === month &&
-                new Date(t.date).getFullYear() === year
-            );
-
-            if (!exists) {
-                const newDate = new Date(year, month, rule.day || 10, 12, 0, 0);
-                // Safe check for invalid date (e.g. Feb 30)
-                if (newDate.getMonth() !== month) {
-                    newDate.setDate(0);
+            this.getRuleOccurrences(rule, year, month).forEach(newDate => {
+                const occurrence = this.dateKey(newDate);
+                if (rule.patternSince && occurrence < rule.patternSince) return; // Já cobertas pelo padrão anterior
+
+                // Check if transaction already exists for this rule + occurrence
+                if (this.hasOccurrence(rule, newDate, generated)) return;
+
+                if (rule.type === 'income') {
+                    // Entrada fixa (ex: contrato mensal) na conta MEI informada
+                    const t = {
+                        id: crypto.randomUUID(),
+                        createdAt: new Date().toISOString(),
+                        type: 'income',
+                        amount: rule.amount,
+                        description: rule.title,
+                        date: newDate.toISOString(),
+                        isHomeExpense: false,
+                        accountId: rule.accountId,
+                        revenueType: rule.revenueType,
+                        hasInvoice: !!rule.hasInvoice,
+                        clientId: rule.clientId,
+                        recurringId: rule.id,
+                        occurrence
+                    };
+                    this.data.transactions.push(t);
+                    this.queuePut('transactions', t);
+                    return;
                 }
 
                 const isReminder = rule.type === 'reminder';
 
-                this.data.transactions.push({
+                const t = {
                     id: crypto.randomUUID(),
                     createdAt: new Date().toISOString(),
                     type: 'expense',
@@ -117,73 +1055,329 @@ const Store = {
                     isHomeExpense: true,
                     isPaid: false,
                     recurringId: rule.id,
+                    occurrence,
                     isReminder: isReminder
-                });
-            }
+                };
+                this.data.transactions.push(t);
+                this.queuePut('transactions', t);
+            });
         });
         // We modified transactions directly to avoid multiple saves/renders
         this.save();
     },
 
-    addAccount(account) {
-        account.id = crypto.randomUUID();
-        this.data.accounts.push(account);
-        this.save();
+    // Compara a ocorrência gravada, não a data (que pode ter sido editada para outro mês); mensais aceitam qualquer
+    // dia do mês da ocorrência. Lançamentos antigos sem t.occurrence caem na data
+    findOccurrence(rule, date, transactions) {
+        const monthly = !['weekly', 'biweekly'].includes(rule.frequency);
+        const key = this.dateKey(date);
+        return transactions.find(t => {
+            if (!t.recurringId || t.recurringId !== rule.id) return false;
+            const occurrence = t.occurrence ? new Date(t.occurrence + 'T12:00:00') : new Date(t.date);
+            return monthly ? this.isSameMonth(occurrence, date) : this.dateKey(occurrence) === key;
+        });
     },
 
-    updateAccount(id, updates) {
-        const idx = this.data.accounts.findIndex(a => a.id === id);
-        if (idx !== -1) {
-            this.data.accounts[idx] = { ...this.data.accounts[idx], ...updates };
-            this.save();
-        }
+    hasOccurrence(rule, date, transactions) {
+        return !!this.findOccurrence(rule, date, transactions);
     },
 
-    deleteAccount(id) {
-        this.data.accounts = this.data.accounts.filter(a => a.id !== id);
+    setRecurringActive(id, active) {
+        const rule = this.data.recurring.find(r => r.id === id);
+        if (!rule) return;
+        rule.active = active;
+        rule.updatedAt = new Date().toISOString();
+        this.queuePut('recurring', rule);
         this.save();
+        if (active) this.ensureRecurringForMonth(this.data.selectedMonth);
     },
 
-    getAccountLimitStatus(accountId) {
-        const account = this.data.accounts.find(a => a.id === accountId);
-        if (!account || account.type !== 'mei') return null;
+    // applyToFuture: novo valor também nos lançamentos já gerados a partir de hoje e ainda não pagos
+    updateRecurring(id, updates, applyToFuture = false) {
+        const rule = this.data.recurring.find(r => r.id === id);
+        if (!rule) return;
+
+        const patternChanged = ['frequency', 'interval', 'day', 'startDate', 'endDate', 'count']
+            .some(key => key in updates && updates[key] !== rule[key]);
+        Object.assign(rule, updates, { updatedAt: new Date().toISOString() });
+        this.queuePut('recurring', rule);
+
+        // Novo padrão muda as ocorrências: as futuras ainda não pagas que saíram dele são apagadas
+        // (sem lixeira, onde ainda contariam como geradas) e as anteriores à edição não são geradas,
+        // senão o mês ficaria com as duas séries
+        if (patternChanged) {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            rule.patternSince = this.dateKey(today);
+            const stale = this.data.transactions.filter(t => {
+                if (t.recurringId !== id || t.isPaid || (t.attachments || []).length > 0 || new Date(t.date) < today) return false;
+                const occurrence = t.occurrence ? new Date(t.occurrence + 'T12:00:00') : new Date(t.date);
+                return !this.getRuleOccurrences(rule, occurrence.getFullYear(), occurrence.getMonth())
+                    .some(date => this.findOccurrence(rule, date, [t]));
+            });
+            stale.forEach(t => this.queueDelete('transactions', t.id));
+            this.data.transactions = this.data.transactions.filter(t => !stale.includes(t));
+        }
 
-        // Calculate total income for this account in current year
-        const currentYear = new Date().getFullYear();
-        const yearIncome = this.data.transactions
-            .filter(t => t.accountId === accountId && t.type === 'income' && new Date(t.date).getFullYear() === currentYear)
-            .reduce((acc, t) => acc + t.amount, 0);
+        if (applyToFuture && updates.amount !== undefined) {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            this.data.transactions
+                .filter(t => t.recurringId === id && !t.isPaid && !t.isReminder && new Date(t.date) >= today && t.amount !== updates.amount)
+                .forEach(t => this.applyTransactionUpdate(t.id, { amount: updates.amount }));
+        }
+        this.save();
+        this.ensureRecurringForMonth(this.data.selectedMonth);
+    },
 
-        const total = (account.initialBalance || 0) + yearIncome;
-        const limitSafe = 81000;
-        const limitMax = 97200;
+    // DAS-MEI
+    getDasValue(account, year) {
+        const { activity, values = {} } = account.das;
+        if (values[year] !== undefined) return values[year];
+
+        // Ano sem valor informado: usa a tabela padrão (ou o ano mais recente conhecido)
+        const years = Object.keys(this.dasDefaults).map(Number).sort((a, b) => a - b);
+        const known = years.filter(y => y <= year).pop() || years[0];
+        return this.dasDefaults[known][activity];
+    },
+
+    // Cria uma guia por competência (das.startMonth até o mês atual), vencendo no dia 20 do mês seguinte
+    ensureDasBills() {
+        const now = new Date();
+
+        // Guias na lixeira contam como geradas, para a exclusão não ser desfeita na próxima abertura
+        const bills = [
+            ...this.data.transactions,
+            ...this.data.trash.filter(e => e.store === 'transactions').map(e => e.record)
+        ].filter(t => t.isDas);
+
+        this.data.accounts.forEach(account => {
+            if (account.type !== 'mei' || !account.das || account.archived) return;
+
+            const [startYear, startMonth] = account.das.startMonth.split('-').map(Number);
+            const cursor = new Date(startYear, startMonth - 1, 1);
+
+            while (cursor <= now) {
+                const period = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`;
+                const exists = bills.some(t => t.accountId === account.id && t.dasPeriod === period);
+
+                if (!exists) {
+                    const dueDate = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 20, 12, 0, 0);
+                    const t = {
+                        id: crypto.randomUUID(),
+                        createdAt: new Date().toISOString(),
+                        type: 'expense',
+                        amount: this.getDasValue(account, cursor.getFullYear()),
+                        category: 'DAS-MEI',
+                        description: `Competência ${String(cursor.getMonth() + 1).padStart(2, '0')}/${cursor.getFullYear()}`,
+                        date: dueDate.toISOString(),
+                        dueDate: dueDate.toISOString(),
+                        isHomeExpense: false,
+                        isPaid: false,
+                        isDas: true,
+                        dasPeriod: period,
+                        accountId: account.id
+                    };
+                    this.data.transactions.push(t);
+                    this.queuePut('transactions', t);
+                }
+                cursor.setMonth(cursor.getMonth() + 1);
+            }
+        });
+        // We modified transactions directly to avoid multiple saves/renders
+        this.save();
+    },
+
+    getDasStatus(accountId) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        if (!account || account.type !== 'mei' || !account.das) return null;
+
+        const now = new Date();
+        const bills = this.data.transactions
+            .filter(t => t.isDas && t.accountId === accountId)
+            .sort((a, b) => a.dasPeriod.localeCompare(b.dasPeriod));
+        const overdue = bills.filter(t => !t.isPaid && new Date(t.dueDate) < now);
+        const next = bills.find(t => !t.isPaid && new Date(t.dueDate) >= now);
+
+        return { bills, overdue, next, owed: overdue.reduce((acc, t) => acc + t.amount, 0) };
+    },
+
+    setDasConfig(accountId, das) {
+        this.updateAccount(accountId, { das });
+        const account = this.data.accounts.find(a => a.id === accountId);
+
+        // Guias ainda não pagas acompanham o valor configurado para o ano
+        this.data.transactions.forEach((t, i) => {
+            if (!t.isDas || t.accountId !== accountId || t.isPaid) return;
+            const amount = this.getDasValue(account, parseInt(t.dasPeriod));
+            if (amount !== t.amount) {
+                this.data.transactions[i] = { ...t, amount, updatedAt: new Date().toISOString() };
+                this.queuePut('transactions', this.data.transactions[i]);
+            }
+        });
+        this.ensureDasBills();
+    },
+
+    addAccount(account) {
+        account.id = crypto.randomUUID();
+        account.createdAt = new Date().toISOString();
+        this.data.accounts.push(account);
+        this.queuePut('accounts', account);
+        this.save();
+    },
+
+    updateAccount(id, updates) {
+        const idx = this.data.accounts.findIndex(a => a.id === id);
+        if (idx !== -1) {
+            this.data.accounts[idx] = { ...this.data.accounts[idx], ...updates, updatedAt: new Date().toISOString() };
+            this.queuePut('accounts', this.data.accounts[idx]);
+            this.save();
+        }
+    },
+
+    deleteAccount(id) {
+        return this.moveToTrash('accounts', id);
+    },
+
+    // Contas arquivadas somem dos formulários, mas continuam nos saldos, limites e relatórios
+    getActiveAccounts() {
+        return this.data.accounts.filter(a => !a.archived);
+    },
+
+    // Lançamentos e recorrentes ligados à conta (origem ou destino)
+    getAccountUsage(accountId) {
+        return {
+            transactions: this.data.transactions.filter(t => t.accountId === accountId || t.toAccountId === accountId).length,
+            recurring: this.data.recurring.filter(r => r.accountId === accountId).length
+        };
+    },
+
+    // Passa tudo da conta para outra (com histórico nos lançamentos) antes de excluí-la
+    reassignAccount(fromId, toId) {
+        this.data.transactions.forEach(t => {
+            const updates = {};
+            if (t.accountId === fromId) updates.accountId = toId;
+            if (t.toAccountId === fromId) updates.toAccountId = toId;
+            if (Object.keys(updates).length > 0) this.applyTransactionUpdate(t.id, updates);
+        });
+        this.data.recurring.forEach(r => {
+            if (r.accountId !== fromId) return;
+            r.accountId = toId;
+            this.queuePut('recurring', r);
+        });
+        this.save();
+    },
+
+    // Limite anual vigente no ano (tabela editável em Configurações)
+    getMeiAnnualLimit(year) {
+        const years = Object.keys(this.data.meiLimits).map(Number).sort((a, b) => a - b);
+        const known = years.filter(y => y <= year).pop() || years[0];
+        return this.data.meiLimits[known];
+    },
+
+    // Limite proporcional: 1/12 do anual por mês de atividade no ano (o mês da abertura conta inteiro).
+    // A tolerância de 20% leva ao limite máximo; acima dele o desenquadramento é retroativo.
+    getMeiLimit(account, year) {
+        const annual = this.getMeiAnnualLimit(year);
+        let months = 12;
+        if (account.openingDate) {
+            const [openYear, openMonth] = account.openingDate.split('-').map(Number);
+            if (openYear > year) months = 0;
+            else if (openYear === year) months = 12 - (openMonth - 1);
+        }
+
+        const monthlySafe = annual / 12;
+        return {
+            months,
+            limitSafe: monthlySafe * months,
+            limitMax: monthlySafe * months * 1.2,
+            monthlySafe,
+            monthlyMax: monthlySafe * 1.2
+        };
+    },
+
+    // Entradas a receber (pagamento depois ou em partes): isPending, expectedDate (YYYY-MM-DD) e payments [{ id, date, amount }].
+    // Entradas sem payments foram recebidas à vista, na data do lançamento.
+    getReceivedAmount(t) {
+        return t.payments ? t.payments.reduce((acc, p) => acc + p.amount, 0) : t.amount;
+    },
+
+    // Entradas que contam como faturamento: [{ t, amount, date }]. Pelo critério 'received' cada recebimento
+    // entra na sua própria data (o que ainda não foi recebido fica de fora); pelo 'billed', o valor cheio na data da venda.
+    getRevenueEntries(filter) {
+        const received = this.data.revenueBasis === 'received';
+        const entries = [];
+        this.data.transactions
+            .filter(t => t.type === 'income' && filter(t))
+            .forEach(t => {
+                if (received && t.payments) t.payments.forEach(p => entries.push({ t, amount: p.amount, date: p.date }));
+                else entries.push({ t, amount: t.amount, date: t.date });
+            });
+        return entries;
+    },
+
+    // Em aberto, das mais antigas para as mais novas (sem previsão por último)
+    getReceivables() {
+        const today = this.dateKey(new Date());
+        return this.data.transactions
+            .filter(t => t.type === 'income' && t.isPending)
+            .map(t => {
+                const received = this.getReceivedAmount(t);
+                return { t, received, remaining: Math.round((t.amount - received) * 100) / 100, overdue: !!t.expectedDate && t.expectedDate < today };
+            })
+            .sort((a, b) => (a.t.expectedDate || '9999').localeCompare(b.t.expectedDate || '9999'));
+    },
+
+    addPayment(id, amount, date) {
+        const t = this.data.transactions.find(item => item.id === id);
+        if (!t) return;
+        this.setPayments(t, [...(t.payments || []), { id: crypto.randomUUID(), date, amount }]);
+    },
+
+    deletePayment(id, paymentId) {
+        const t = this.data.transactions.find(item => item.id === id);
+        if (!t) return;
+        this.setPayments(t, t.payments.filter(p => p.id !== paymentId));
+    },
+
+    // Fica a receber até a soma dos recebimentos alcançar o valor
+    setPayments(t, payments) {
+        const received = payments.reduce((acc, p) => acc + p.amount, 0);
+        this.applyTransactionUpdate(t.id, { payments, isPending: received < t.amount - 0.005 });
+        this.save();
+    },
+
+    getAccountLimitStatus(accountId, year = new Date().getFullYear()) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        if (!account || account.type !== 'mei') return null;
+
+        const limit = this.getMeiLimit(account, year);
+        if (limit.months === 0) return null; // MEI ainda não existia no ano
+
+        // Calculate total income for this account in the year
+        const yearIncome = this.getRevenueEntries(t => t.accountId === accountId)
+            .filter(e => new Date(e.date).getFullYear() === year)
+            .reduce((acc, e) => acc + e.amount, 0);
+
+        const total = this.getOpeningRevenue(account, year) + yearIncome;
+        const { limitSafe, limitMax, months } = limit;
 
         let status = 'safe'; // safe, warning, critical
         if (total > limitMax) status = 'critical';
         else if (total > limitSafe) status = 'warning';
 
-        return { total, limitSafe, limitMax, status, percent: (total / limitSafe) * 100 };
+        return { total, limitSafe, limitMax, months, proportional: months < 12, status, percent: (total / limitSafe) * 100 };
     },
 
-    getAccountMonthlyStatus(accountId) {
+    getAccountMonthlyStatus(accountId, year = new Date().getFullYear(), month = new Date().getMonth()) {
         const account = this.data.accounts.find(a => a.id === accountId);
         if (!account || account.type !== 'mei') return null;
 
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
-
-        const monthIncome = this.data.transactions
-            .filter(t =>
-                t.accountId === accountId &&
-                t.type === 'income' &&
-                new Date(t.date).getMonth() === currentMonth &&
-                new Date(t.date).getFullYear() === currentYear
-            )
-            .reduce((acc, t) => acc + t.amount, 0);
+        const monthIncome = this.getRevenueEntries(t => t.accountId === accountId)
+            .filter(e => new Date(e.date).getMonth() === month && new Date(e.date).getFullYear() === year)
+            .reduce((acc, e) => acc + e.amount, 0);
 
-        const limitSafe = 6750; // 81k / 12
-        const limitMax = 8100; // 97.2k / 12
+        const { monthlySafe: limitSafe, monthlyMax: limitMax } = this.getMeiLimit(account, year);
 
         let status = 'safe';
         if (monthIncome > limitMax) status = 'critical';
@@ -192,152 +1386,1111 @@ const Store = {
         return { total: monthIncome, limitSafe, limitMax, status, percent: (monthIncome / limitSafe) * 100 };
     },
 
+    // Projeção do ano atual: ritmo diário do que já entrou (sem as recorrentes) + entradas recorrentes ativas.
+    // extra simula uma venda nova hoje (entra no total e no ritmo; com recurringDay vira entrada mensal).
+    getMeiForecast(accountId, extra = 0, recurringDay = null) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        const now = new Date();
+        const year = now.getFullYear();
+        const status = this.getAccountLimitStatus(accountId, year);
+        if (!status) return null;
+
+        const total = status.total + extra;
+        const recurringDone = (recurringDay ? extra : 0) + this.getRevenueEntries(t => t.accountId === accountId && t.recurringId)
+            .filter(e => new Date(e.date).getFullYear() === year)
+            .reduce((acc, e) => acc + e.amount, 0);
+
+        // Dias de atividade no ano (desde a abertura, se foi neste ano)
+        let start = new Date(year, 0, 1);
+        if (account.openingDate && parseInt(account.openingDate) === year) start = new Date(account.openingDate + 'T00:00:00');
+        const dayMs = 24 * 60 * 60 * 1000;
+        const elapsed = Math.max(1, Math.ceil((now - start) / dayMs));
+        const dailyRate = Math.max(0, total - recurringDone) / elapsed;
+
+        const rules = this.data.recurring.filter(r => r.active && r.type === 'income' && r.accountId === accountId);
+        if (recurringDay) rules.push({ amount: extra, day: recurringDay, frequency: 'monthly', startDate: this.dateKey(now) });
+        // Equivalente mensal (semanal ~4,3x, anual /12)
+        const perMonth = { weekly: 52 / 12, biweekly: 26 / 12, yearly: 1 / 12 };
+        const recurringMonthly = rules.reduce((acc, r) => acc + r.amount * (perMonth[r.frequency] || 1 / (r.interval || 1)), 0);
+
+        // Próximas ocorrências das recorrentes até 31/12 que ainda não viraram lançamento
+        const today = this.dateKey(now);
+        const upcoming = {}; // YYYY-MM-DD -> valor
+        rules.forEach(r => {
+            for (let m = now.getMonth(); m < 12; m++) {
+                this.getRuleOccurrences(r, year, m).forEach(date => {
+                    const key = this.dateKey(date);
+                    if (key > today && !this.hasOccurrence(r, date, this.data.transactions)) upcoming[key] = (upcoming[key] || 0) + r.amount;
+                });
+            }
+        });
+
+        // Anda dia a dia até 31/12
+        let cumulative = total;
+        let crossSafe = total > status.limitSafe ? now : null;
+        let crossMax = total > status.limitMax ? now : null;
+        const day = new Date(year, now.getMonth(), now.getDate(), 12);
+        let futureRecurring = 0;
+        while (true) {
+            day.setDate(day.getDate() + 1);
+            if (day.getFullYear() !== year) break;
+
+            const recurringToday = upcoming[this.dateKey(day)] || 0;
+            cumulative += dailyRate + recurringToday;
+            futureRecurring += recurringToday;
+            if (!crossSafe && cumulative > status.limitSafe) crossSafe = new Date(day);
+            if (!crossMax && cumulative > status.limitMax) crossMax = new Date(day);
+        }
+
+        // Quanto ainda cabe por mês (contando o atual) sem passar do limite, já descontadas as recorrentes
+        const remainingMonths = 12 - now.getMonth();
+        const budget = Math.max(0, (status.limitSafe - total - futureRecurring) / remainingMonths);
+
+        return {
+            total,
+            projected: cumulative,
+            monthlyRate: dailyRate * 30.4,
+            recurringMonthly,
+            crossSafe,
+            crossMax,
+            budget,
+            remainingMonths,
+            limitSafe: status.limitSafe,
+            limitMax: status.limitMax
+        };
+    },
+
+    // Consequências de passar do limite anual (LC 123/2006, art. 18-A): até 20% de excesso o desenquadramento
+    // vale a partir de janeiro seguinte e o excesso paga DAS complementar; acima de 20% é retroativo ao início do ano.
+    // extra/extraMonth simulam uma venda ainda não lançada.
+    getExcessScenario(accountId, year, extra = 0, extraMonth = new Date().getMonth()) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        const status = this.getAccountLimitStatus(accountId, year);
+        if (!status) return null;
+
+        const total = status.total + extra;
+        const excess = Math.max(0, total - status.limitSafe);
+
+        // Mês em que cada limite foi ultrapassado (faturamento anterior ao app conta desde o início)
+        let cumulative = this.getOpeningRevenue(account, year);
+        let safeMonth = null;
+        let maxMonth = null;
+        const byType = { commerce: 0, industry: 0, services: 0 };
+        for (let m = 0; m < 12; m++) {
+            const rev = this.getMonthlyRevenue(accountId, year, m);
+            Object.keys(byType).forEach(key => { byType[key] += rev[key].total; });
+            cumulative += rev.total + (m === extraMonth ? extra : 0);
+            if (safeMonth === null && cumulative > status.limitSafe) safeMonth = m;
+            if (maxMonth === null && cumulative > status.limitMax) maxMonth = m;
+        }
+
+        // Alíquota média ponderada pela natureza das receitas (sem natureza = serviços)
+        const classified = byType.commerce + byType.industry + byType.services;
+        const rate = classified > 0
+            ? Object.keys(byType).reduce((acc, key) => acc + this.simplesRates[key] * byType[key], 0) / classified
+            : this.simplesRates.services;
+
+        const result = {
+            total, excess, rate,
+            limitSafe: status.limitSafe,
+            limitMax: status.limitMax,
+            percent: excess / status.limitSafe * 100,
+            safeMonth,
+            scenario: total > status.limitMax ? 'over' : (excess > 0 ? 'within' : 'none')
+        };
+
+        if (result.scenario === 'within') {
+            result.complement = excess * rate;
+            result.effectiveDate = new Date(year + 1, 0, 1);
+            result.notifyBy = new Date(year + 1, 1, 0); // Último dia de janeiro
+            result.dueDate = new Date(year + 1, 1, 20); // Junto com a apuração de janeiro
+            result.toleranceLeft = status.limitMax - total;
+        } else if (result.scenario === 'over') {
+            const dasPaid = this.data.transactions
+                .filter(t => t.isDas && t.isPaid && t.accountId === accountId && parseInt(t.dasPeriod) === year)
+                .reduce((acc, t) => acc + t.amount, 0);
+            const opening = account.openingDate && parseInt(account.openingDate) === year ? new Date(account.openingDate + 'T12:00:00') : null;
+
+            result.maxMonth = maxMonth;
+            result.effectiveDate = opening || new Date(year, 0, 1);
+            result.notifyBy = new Date(year, maxMonth + 2, 0); // Último dia do mês seguinte ao excesso
+            result.tax = total * rate;
+            result.dasPaid = dasPaid;
+            result.difference = Math.max(0, result.tax - dasPaid);
+        }
+        return result;
+    },
+
+    // Faturamento do ano anterior ao uso do app (informado à mão)
+    getOpeningRevenue(account, year) {
+        return (account.openingRevenue || {})[year] || 0;
+    },
+
+    setOpeningRevenue(accountId, values) {
+        this.updateAccount(accountId, { openingRevenue: values });
+    },
+
+    // Faturamento x limite de cada ano, da abertura (ou primeira entrada) até o ano atual
+    getMeiHistory(accountId) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        if (!account || account.type !== 'mei') return [];
+
+        const currentYear = new Date().getFullYear();
+        const years = [
+            currentYear,
+            ...Object.keys(account.openingRevenue || {}).map(Number),
+            ...this.getRevenueEntries(t => t.accountId === accountId).map(e => new Date(e.date).getFullYear())
+        ];
+        if (account.openingDate) years.push(parseInt(account.openingDate));
+
+        const history = [];
+        for (let year = Math.min(...years); year <= currentYear; year++) {
+            const status = this.getAccountLimitStatus(accountId, year);
+            if (status) history.push({ year, opening: this.getOpeningRevenue(account, year), ...status });
+        }
+        return history.reverse();
+    },
+
+    // Salva a tabela de limites, a data de abertura de cada MEI e o critério de faturamento numa única gravação
+    setMeiLimits(limits, openingDates, revenueBasis) {
+        this.data.meiLimits = limits;
+        this.queueSetting('meiLimits');
+        if (revenueBasis && revenueBasis !== this.data.revenueBasis) {
+            this.data.revenueBasis = revenueBasis;
+            this.queueSetting('revenueBasis');
+        }
+
+        Object.entries(openingDates).forEach(([id, openingDate]) => {
+            const account = this.data.accounts.find(a => a.id === id);
+            if (!account || (account.openingDate || '') === openingDate) return;
+            account.openingDate = openingDate;
+            account.updatedAt = new Date().toISOString();
+            this.queuePut('accounts', account);
+        });
+        this.save();
+    },
+
+    // Receita bruta do mês separada por natureza e com/sem nota fiscal (Relatório Mensal de Receitas Brutas)
+    getMonthlyRevenue(accountId, year, month) {
+        // unclassified: entradas sem natureza informada (somadas em serviços); companyWithoutInvoice: vendas para CNPJ sem nota
+        const result = { unclassified: 0, companyWithoutInvoice: 0 };
+        Object.keys(this.revenueTypes).forEach(key => {
+            result[key] = { invoice: 0, noInvoice: 0, total: 0 };
+        });
+
+        this.getRevenueEntries(t => t.accountId === accountId)
+            .filter(e => new Date(e.date).getMonth() === month && new Date(e.date).getFullYear() === year)
+            .forEach(({ t, amount }) => {
+                const nature = this.revenueTypes[t.revenueType] ? t.revenueType : 'services';
+                if (nature !== t.revenueType) result.unclassified++;
+                if (this.isCompanySaleWithoutInvoice(t)) result.companyWithoutInvoice++;
+                result[nature][t.hasInvoice ? 'invoice' : 'noInvoice'] += amount;
+                result[nature].total += amount;
+            });
+
+        result.total = Object.keys(this.revenueTypes).reduce((acc, key) => acc + result[key].total, 0);
+        return result;
+    },
+
+    // Resumo no formato da DASN-SIMEI (declaração anual), com avisos de dados faltando
+    getDasnSummary(accountId, year) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        if (!account || account.type !== 'mei') return null;
+
+        const now = new Date();
+        const warnings = [];
+        let icms = 0;
+        let services = 0;
+        let unclassified = 0;
+
+        const months = [];
+        for (let m = 0; m < 12; m++) {
+            const rev = this.getMonthlyRevenue(accountId, year, m);
+            months.push({ month: m, icms: rev.commerce.total + rev.industry.total, services: rev.services.total, total: rev.total });
+            icms += rev.commerce.total + rev.industry.total;
+            services += rev.services.total;
+            unclassified += rev.unclassified;
+        }
+
+        // Faturamento anterior ao app, sem natureza definida
+        const initial = this.getOpeningRevenue(account, year);
+        if (initial > 0) {
+            services += initial;
+            warnings.push(`Faturamento anterior ao app de ${this.formatCurrency(initial)} não tem natureza definida e foi somado em serviços.`);
+        }
+        if (unclassified > 0) {
+            warnings.push(`${unclassified} entrada(s) sem natureza informada foram somadas em serviços.`);
+        }
+
+        // Meses sem nenhuma entrada (desde a primeira competência do DAS, se for deste ano)
+        const firstMonth = account.das && parseInt(account.das.startMonth) === year ? parseInt(account.das.startMonth.split('-')[1]) - 1 : 0;
+        const lastMonth = year === now.getFullYear() ? now.getMonth() : 11;
+        const empty = months.filter(m => m.month >= firstMonth && m.month <= lastMonth && m.total === 0);
+        if (empty.length > 0) {
+            const names = empty.map(m => new Date(year, m.month, 1).toLocaleDateString('pt-BR', { month: 'short' }).replace('.', ''));
+            warnings.push(`Meses sem nenhuma entrada registrada: ${names.join(', ')}. Confira se não faltou lançar vendas.`);
+        }
+
+        const unpaidDas = this.data.transactions.filter(t => t.isDas && t.accountId === accountId && !t.isPaid && parseInt(t.dasPeriod) === year);
+        if (unpaidDas.length > 0) {
+            warnings.push(`${unpaidDas.length} guia(s) DAS deste ano ainda não marcadas como pagas.`);
+        }
+        if (year >= now.getFullYear()) {
+            warnings.push('O ano ainda não terminou: os valores podem mudar até 31/12.');
+        }
+
+        const dasn = (account.dasn || {})[year] || {};
+        return { account, year, months, icms, services, total: icms + services, hadEmployee: !!dasn.hadEmployee, warnings };
+    },
+
+    setDasnEmployee(accountId, year, hadEmployee) {
+        const account = this.data.accounts.find(a => a.id === accountId);
+        const dasn = { ...(account.dasn || {}), [year]: { ...((account.dasn || {})[year] || {}), hadEmployee } };
+        this.updateAccount(accountId, { dasn });
+    },
+
     getAccountBalance(accountId) {
         const account = this.data.accounts.find(a => a.id === accountId);
         if (!account) return 0;
 
+        // Entradas a receber só contam o que já foi recebido
         const income = this.data.transactions
             .filter(t => t.accountId === accountId && t.type === 'income')
-            .reduce((acc, t) => acc + t.amount, 0);
+            .reduce((acc, t) => acc + this.getReceivedAmount(t), 0);
 
+        // Guias de DAS só saem do saldo quando pagas
         const expenses = this.data.transactions
-            .filter(t => t.accountId === accountId && t.type === 'expense')
+            .filter(t => t.accountId === accountId && t.type === 'expense' && !(t.isDas && !t.isPaid))
             .reduce((acc, t) => acc + t.amount, 0);
 
-        return (account.initialBalance || 0) + income - expenses;
+        // Transferências: saem da origem (accountId) e entram no destino (toAccountId)
+        const transfers = this.data.transactions
+            .filter(t => t.type === 'transfer')
+            .reduce((acc, t) => acc + (t.toAccountId === accountId ? t.amount : 0) - (t.accountId === accountId ? t.amount : 0), 0);
+
+        return (account.initialBalance || 0) + income - expenses + transfers;
     },
 
     addTransaction(t) {
         t.id = crypto.randomUUID();
         t.createdAt = new Date().toISOString();
         this.data.transactions.push(t);
+        this.queuePut('transactions', t);
+        this.save();
+    },
+
+    // Inclusão em lote (ex: importação de extrato) com um único save/render
+    addTransactions(list) {
+        list.forEach(t => {
+            t.id = crypto.randomUUID();
+            t.createdAt = new Date().toISOString();
+            this.data.transactions.push(t);
+            this.queuePut('transactions', t);
+        });
         this.save();
     },
 
+    // Mesmo lançamento do banco (FITID) ou mesma data, valor, tipo e conta
+    findDuplicate(entry, accountId) {
+        return this.data.transactions.find(t =>
+            t.accountId === accountId && (
+                (entry.fitId && t.importId === entry.fitId) ||
+                (t.type === entry.type && Math.abs(t.amount - entry.amount) < 0.005 && this.isSameDay(t.date, entry.date))
+            )
+        );
+    },
+
+    historyLimit: 20, // Alterações guardadas por lançamento
+
     updateTransaction(id, updates) {
+        this.applyTransactionUpdate(id, updates);
+        this.save();
+    },
+
+    // Enfileira as alterações e guarda os valores anteriores em t.history ({ at, changes: { campo: { from, to } } })
+    applyTransactionUpdate(id, updates) {
         const index = this.data.transactions.findIndex(t => t.id === id);
         if (index !== -1) {
-            this.data.transactions[index] = { ...this.data.transactions[index], ...updates };
-            this.save();
+            const current = this.data.transactions[index];
+            const now = new Date().toISOString();
+            const changes = {};
+            const blank = v => v === undefined || v === null || v === '' || v === false; // Campo vazio/desmarcado
+            Object.keys(updates).forEach(key => {
+                if (key === 'history' || current[key] === updates[key] || (blank(current[key]) && blank(updates[key]))) return;
+                changes[key] = { from: current[key], to: updates[key] };
+            });
+
+            const updated = { ...current, ...updates, updatedAt: now };
+            if (Object.keys(changes).length > 0) {
+                updated.history = [...(current.history || []), { at: now, changes }].slice(-this.historyLimit);
+            }
+            this.data.transactions[index] = updated;
+            this.queuePut('transactions', updated);
         }
     },
 
-    addCustomCategory(name) {
-        if (!this.data.customCategories.includes(name)) {
-            this.data.customCategories.push(name);
-            this.save();
-        }
+    deleteTransaction(id) {
+        return this.moveToTrash('transactions', id);
     },
 
-    // Helpers
-    formatCurrency(val) {
-        return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(val);
+    // Anexos: o arquivo vai para DB.files antes de o lançamento passar a apontar para ele.
+    // Fora do histórico de alterações, que guardaria as miniaturas a cada mudança.
+    async addAttachments(transactionId, prepared) {
+        const createdAt = new Date().toISOString();
+        await DB.putFiles(prepared.map(p => ({ id: p.meta.id, blob: p.blob, type: p.meta.type, name: p.meta.name, createdAt })));
+
+        const t = this.data.transactions.find(item => item.id === transactionId);
+        if (!t) return;
+        t.attachments = [...(t.attachments || []), ...prepared.map(p => p.meta)];
+        t.updatedAt = createdAt;
+        this.queuePut('transactions', t);
+        this.save();
     },
 
-    // Date Helpers
-    isSameDay(d1Str, d2Str) {
-        const d1 = new Date(d1Str);
-        const d2 = new Date(d2Str);
-        return d1.toDateString() === d2.toDateString();
+    removeAttachment(transactionId, attachmentId) {
+        const t = this.data.transactions.find(item => item.id === transactionId);
+        if (!t || !t.attachments) return;
+        t.attachments = t.attachments.filter(a => a.id !== attachmentId);
+        t.updatedAt = new Date().toISOString();
+        this.queuePut('transactions', t);
+        this.save();
+        DB.deleteFiles([attachmentId]);
     },
 
-    isSameMonth(d1Str, d2Str) {
-        const d1 = new Date(d1Str);
-        const d2 = new Date(d2Str);
-        return d1.getMonth() === d2.getMonth() && d1.getFullYear() === d2.getFullYear();
+    // Apaga os arquivos que nenhum lançamento (nem na lixeira) usa mais
+    async pruneAttachments() {
+        const used = new Set();
+        const collect = t => (t.attachments || []).forEach(a => used.add(a.id));
+        this.data.transactions.forEach(collect);
+        this.data.trash.filter(e => e.store === 'transactions').forEach(e => collect(e.record));
+
+        const ids = await DB.getFileIds();
+        await DB.deleteFiles(ids.filter(id => !used.has(id)));
     },
 
-    isWithinRange(dateStr, startStr, endStr) {
-        const d = new Date(dateStr);
-        // Ajustar start para 00:00:00 e end para 23:59:59
-        const start = new Date(startStr);
-        start.setHours(0, 0, 0, 0);
-        const end = new Date(endStr);
-        end.setHours(23, 59, 59, 999);
-        return d >= start && d <= end;
+    // Parcelamentos: parcelas com o mesmo installmentId (categoria "Nome (i/N)")
+    // Divide em centavos; as primeiras parcelas levam a sobra para a soma bater com o total
+    splitAmount(total, qty) {
+        const cents = Math.round(total * 100);
+        const base = Math.floor(cents / qty);
+        return Array.from({ length: qty }, (_, i) => (base + (i < cents - base * qty ? 1 : 0)) / 100);
     },
 
-    // Data Management
-    getBackupData() {
-        return JSON.stringify(this.data);
+    getInstallmentGroup(installmentId) {
+        const parcels = this.data.transactions
+            .filter(t => t.installmentId === installmentId)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (parcels.length === 0) return null;
+
+        const first = parcels.find(t => !t.installmentPayoff) || parcels[0];
+        const paid = parcels.filter(t => t.isPaid);
+        const remaining = parcels.filter(t => !t.isPaid);
+        const sum = list => list.reduce((acc, t) => acc + t.amount, 0);
+
+        return {
+            id: installmentId,
+            title: first.category.replace(/\s*\(\d+\/\d+\)$/, ''),
+            parcels,
+            paid,
+            remaining,
+            total: sum(parcels),
+            paidAmount: sum(paid),
+            outstanding: sum(remaining),
+            discount: parcels.reduce((acc, t) => acc + (t.discount || 0), 0)
+        };
     },
 
-    loadBackupData(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
-            if (!data.transactions || !data.accounts) throw new Error('Formato inválido');
-            this.data = data;
-            this.save();
-            return true;
-        } catch (e) {
-            console.error(e);
-            return false;
-        }
+    // Parcelas em aberto vão para a lixeira (podem ser restauradas uma a uma)
+    cancelInstallments(installmentId) {
+        const group = this.getInstallmentGroup(installmentId);
+        if (!group) return [];
+        const entries = group.remaining.map(t => this.queueTrash('transactions', t.id));
+        this.save();
+        return entries;
     },
 
-    clearAllData() {
-        this.data.transactions = [];
-        this.data.accounts = [];
-        this.data.recurring = [];
-        this.data.customCategories = ['Transporte', 'Alimentação', 'Hospedagem'];
-        this.data.homeCategories = ['Água', 'Luz', 'Internet', 'Aluguel', 'Cartão de Crédito'];
-        localStorage.clear();
+    // Quitação antecipada: troca as parcelas em aberto por um pagamento único hoje, com o desconto registrado
+    payoffInstallments(installmentId, discount = 0) {
+        const group = this.getInstallmentGroup(installmentId);
+        if (!group || group.remaining.length === 0) return null;
 
-        // Force re-init to set defaults
-        this.init();
+        const now = new Date().toISOString();
+        group.remaining.forEach(t => this.queueTrash('transactions', t.id));
+
+        const payoff = {
+            id: crypto.randomUUID(),
+            createdAt: now,
+            type: 'expense',
+            amount: Math.max(0, Math.round((group.outstanding - discount) * 100) / 100),
+            category: `${group.title} (quitação)`,
+            description: `${group.remaining.length} parcela(s) antecipada(s)`,
+            date: now,
+            isHomeExpense: true,
+            isPaid: true,
+            installmentId,
+            installmentPayoff: true,
+            discount
+        };
+        this.data.transactions.push(payoff);
+        this.queuePut('transactions', payoff);
         this.save();
+        return payoff;
+    },
 
-        alert('Todas as informações foram apagadas com sucesso.');
-        window.location.reload();
+    // Novo valor em todas as parcelas ainda não pagas
+    updateInstallmentAmount(installmentId, amount) {
+        const group = this.getInstallmentGroup(installmentId);
+        if (!group) return;
+        group.remaining.forEach(t => this.applyTransactionUpdate(t.id, { amount }));
+        this.save();
     },
 
-};
+    // Clientes: entradas com clientId. Documento com 14 dígitos = empresa (CNPJ), 11 = pessoa física (CPF)
+    addClient(client) {
+        client.id = crypto.randomUUID();
+        client.createdAt = new Date().toISOString();
+        this.data.clients.push(client);
+        this.queuePut('clients', client);
+        this.save();
+        return client;
+    },
 
-// ==========================================
-// VIEWS (Templates)
-// ==========================================
-const Views = {
-    work() {
-        const dateObj = new Date(Store.data.selectedDate);
-        const dayName = dateObj.toLocaleDateString('pt-BR', { weekday: 'long' });
-        const dateStr = dateObj.toLocaleDateString('pt-BR');
+    updateClient(id, updates) {
+        const idx = this.data.clients.findIndex(c => c.id === id);
+        if (idx !== -1) {
+            this.data.clients[idx] = { ...this.data.clients[idx], ...updates, updatedAt: new Date().toISOString() };
+            this.queuePut('clients', this.data.clients[idx]);
+            this.save();
+        }
+    },
 
-        // Filter Transactions
-        const daily = Store.data.transactions.filter(t =>
-            !t.isHomeExpense && Store.isSameDay(t.date, Store.data.selectedDate)
-        );
-        const income = daily.filter(t => t.type === 'income').reduce((acc, t) => acc + t.amount, 0);
-        const expense = daily.filter(t => t.type === 'expense').reduce((acc, t) => acc + t.amount, 0);
-        const balance = income - expense;
+    // As entradas ficam com o clientId; restaurando da lixeira o vínculo volta
+    deleteClient(id) {
+        return this.moveToTrash('clients', id);
+    },
 
-        const transactionsHtml = daily.length === 0
-            ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhum registro hoje.</p>'
-            : daily.map(t => {
-                const account = Store.data.accounts.find(a => a.id === t.accountId);
-                const accLabel = account ? `<span class="text-[10px] px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 ml-2">${account.name}</span>` : '';
+    getClientKind(client) {
+        const digits = (client && client.document || '').replace(/\D/g, '');
+        if (digits.length === 14) return 'pj';
+        if (digits.length === 11) return 'pf';
+        return null;
+    },
 
-                return `
-                <div class="bg-white p-4 rounded-xl shadow-sm border ${t.type === 'income' ? 'border-green-50' : 'border-red-50'} flex justify-between items-center mb-2 group">
-                    <div class="flex items-center gap-3">
-                        ${t.type === 'expense'
-                        ? `<div class="w-8 h-8 rounded-full bg-red-50 flex items-center justify-center text-red-500 font-bold text-xs uppercase">${t.category.substring(0, 2)}</div>`
-                        : `<div class="w-8 h-8 rounded-full bg-green-50 flex items-center justify-center text-green-600"><i data-lucide="arrow-down-left" class="w-4 h-4"></i></div>`
-                    }
-                        <div>
-                            <p class="font-semibold text-gray-900 flex items-center">${t.type === 'income' ? t.description : t.category} ${accLabel}</p>
-                            <p class="text-xs text-gray-400">${new Date(t.date).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}</p>
-                        </div>
-                    </div>
-                    <div class="flex items-center gap-3">
-                        <span class="font-bold ${t.type === 'income' ? 'text-green-600' : 'text-red-500'}">
-                            ${t.type === 'income' ? '+' : '-'}${Store.formatCurrency(t.amount)}
-                        </span>
-                        <button onclick="Actions.deleteTransaction('${t.id}')" class="text-gray-300 hover:text-red-500 transition-colors p-1"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
-                    </div>
-                </div>
-            `}).join('');
+    formatDocument(doc) {
+        const d = (doc || '').replace(/\D/g, '');
+        if (d.length === 11) return d.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+        if (d.length === 14) return d.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+        return doc || '';
+    },
 
-        // Account Limits Status (Only MEI)
+    // Venda de MEI para empresa sem nota fiscal (o MEI é obrigado a emitir nota quando o cliente é CNPJ)
+    isCompanySaleWithoutInvoice(t) {
+        if (t.type !== 'income' || t.hasInvoice || !t.clientId) return false;
+        const account = this.data.accounts.find(a => a.id === t.accountId);
+        return !!account && account.type === 'mei' && this.getClientKind(this.data.clients.find(c => c.id === t.clientId)) === 'pj';
+    },
+
+    getClientSummary(clientId) {
+        const client = this.data.clients.find(c => c.id === clientId);
+        if (!client) return null;
+
+        const now = new Date();
+        const entries = this.data.transactions
+            .filter(t => t.type === 'income' && t.clientId === clientId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const sum = list => list.reduce((acc, t) => acc + t.amount, 0);
+
+        const byYear = {};
+        entries.forEach(t => {
+            const year = new Date(t.date).getFullYear();
+            byYear[year] = byYear[year] || { year, total: 0, count: 0 };
+            byYear[year].total += t.amount;
+            byYear[year].count++;
+        });
+
+        return {
+            client,
+            kind: this.getClientKind(client),
+            entries,
+            month: sum(entries.filter(t => this.isSameMonth(t.date, now))),
+            year: sum(entries.filter(t => new Date(t.date).getFullYear() === now.getFullYear())),
+            total: sum(entries),
+            byYear: Object.values(byYear).sort((a, b) => b.year - a.year),
+            withoutInvoice: entries.filter(t => this.isCompanySaleWithoutInvoice(t)).length
+        };
+    },
+
+    // Ranking de clientes pelo faturamento informado (getRevenueEntries, ex: período dos Relatórios). client null = sem cliente
+    getClientRanking(entries) {
+        const total = entries.reduce((acc, e) => acc + e.amount, 0);
+        const groups = {};
+        entries.forEach(({ t, amount }) => {
+            const client = this.data.clients.find(c => c.id === t.clientId) || null;
+            const key = client ? client.id : '';
+            groups[key] = groups[key] || { client, total: 0, ids: new Set() };
+            groups[key].total += amount;
+            groups[key].ids.add(t.id); // Recebimentos da mesma venda contam uma vez
+        });
+        return Object.values(groups)
+            .map(({ ids, ...g }) => ({ ...g, count: ids.size, percent: total > 0 ? (g.total / total) * 100 : 0 }))
+            .sort((a, b) => b.total - a.total);
+    },
+
+    // Cartões de crédito: compras (despesas da Casa com cardId) ficam pendentes até a fatura ser paga.
+    // A fatura é identificada pelo mês de vencimento ('YYYY-MM') e fica gravada na compra em t.invoice, para que mudar
+    // o fechamento do cartão não mova compras antigas; registros anteriores sem o campo usam o fechamento atual.
+    addCard(card) {
+        card.id = crypto.randomUUID();
+        card.createdAt = new Date().toISOString();
+        this.data.cards.push(card);
+        this.queuePut('cards', card);
+        this.save();
+        return card;
+    },
+
+    updateCard(id, updates) {
+        const idx = this.data.cards.findIndex(c => c.id === id);
+        if (idx !== -1) {
+            this.data.cards[idx] = { ...this.data.cards[idx], ...updates, updatedAt: new Date().toISOString() };
+            this.queuePut('cards', this.data.cards[idx]);
+            this.save();
+        }
+    },
+
+    // As compras ficam; sem o cartão voltam a aparecer como contas avulsas
+    deleteCard(id) {
+        return this.moveToTrash('cards', id);
+    },
+
+    getCardPurchase(t) {
+        return t.cardId ? this.data.cards.find(c => c.id === t.cardId) || null : null;
+    },
+
+    monthKey(year, month) { // mês pode passar de 11 ou ser negativo
+        const date = new Date(year, month, 1);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    },
+
+    // Compras depois do fechamento vão para a fatura seguinte; vencimento antes do fechamento cai no mês seguinte
+    getInvoiceKey(card, date) {
+        date = new Date(date);
+        const closingMonth = date.getMonth() + (date.getDate() > card.closingDay ? 1 : 0);
+        return this.monthKey(date.getFullYear(), closingMonth + (card.dueDay <= card.closingDay ? 1 : 0));
+    },
+
+    shiftInvoiceKey(key, months) {
+        const [year, month] = key.split('-').map(Number);
+        return this.monthKey(year, month - 1 + months);
+    },
+
+    getInvoiceDates(card, key) {
+        const [year, month] = key.split('-').map(Number);
+        const clamp = (y, m, day) => new Date(y, m, Math.min(day, new Date(y, m + 1, 0).getDate()), 12);
+        const closingMonth = month - 1 - (card.dueDay <= card.closingDay ? 1 : 0);
+        return { closing: clamp(year, closingMonth, card.closingDay), due: clamp(year, month - 1, card.dueDay) };
+    },
+
+    getCardInvoice(cardId, key) {
+        const card = this.data.cards.find(c => c.id === cardId);
+        if (!card) return null;
+
+        const items = this.data.transactions
+            .filter(t => t.cardId === cardId && (t.invoice || this.getInvoiceKey(card, t.date)) === key)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        const { closing, due } = this.getInvoiceDates(card, key);
+
+        return {
+            card,
+            key,
+            items,
+            total: items.reduce((acc, t) => acc + t.amount, 0),
+            isPaid: items.length > 0 && items.every(t => t.isPaid),
+            isClosed: closing < new Date(),
+            closing,
+            due
+        };
+    },
+
+    // Faturas com compras, da mais antiga para a mais nova
+    getCardInvoices(cardId) {
+        const card = this.data.cards.find(c => c.id === cardId);
+        if (!card) return [];
+        const keys = new Set(this.data.transactions.filter(t => t.cardId === cardId).map(t => t.invoice || this.getInvoiceKey(card, t.date)));
+        return [...keys].sort().map(key => this.getCardInvoice(cardId, key));
+    },
+
+    // Limite disponível: o que ainda não foi pago (inclui parcelas futuras) ocupa o limite
+    getCardAvailable(cardId) {
+        const card = this.data.cards.find(c => c.id === cardId);
+        if (!card) return 0;
+        const used = this.data.transactions
+            .filter(t => t.cardId === cardId && !t.isPaid)
+            .reduce((acc, t) => acc + t.amount, 0);
+        return (card.limit || 0) - used;
+    },
+
+    // Faturas que vencem no mês (aparecem como contas na aba Casa)
+    getInvoicesDueInMonth(monthDateStr) {
+        const date = new Date(monthDateStr);
+        const key = this.monthKey(date.getFullYear(), date.getMonth());
+        return this.data.cards
+            .map(card => this.getCardInvoice(card.id, key))
+            .filter(invoice => invoice.items.length > 0);
+    },
+
+    setInvoicePaid(cardId, key, isPaid) {
+        const invoice = this.getCardInvoice(cardId, key);
+        if (!invoice) return;
+        invoice.items.filter(t => !!t.isPaid !== isPaid).forEach(t => this.applyTransactionUpdate(t.id, { isPaid }));
+        this.save();
+    },
+
+    // Lixeira: exclusões guardam o registro inteiro para poder restaurar
+    moveToTrash(store, id) {
+        const entry = this.queueTrash(store, id);
+        if (entry) this.save();
+        return entry;
+    },
+
+    // Só enfileira (exclusões em lote com um único save)
+    queueTrash(store, id) {
+        const record = this.data[store].find(r => r.id === id);
+        if (!record) return null;
+
+        const entry = { id: crypto.randomUUID(), store, record, deletedAt: new Date().toISOString(), createdAt: new Date().toISOString() };
+        this.data[store] = this.data[store].filter(r => r.id !== id);
+        this.data.trash.push(entry);
+        this.queueDelete(store, id);
+        this.queuePut('trash', entry);
+        return entry;
+    },
+
+    restoreFromTrash(trashId) {
+        const entry = this.data.trash.find(e => e.id === trashId);
+        if (!entry) return;
+
+        // Se o registro voltou por outro caminho (ex: backup), mantém o atual
+        if (!this.data[entry.store].some(r => r.id === entry.record.id)) {
+            this.data[entry.store].push(entry.record);
+            this.queuePut(entry.store, entry.record);
+        }
+        this.data.trash = this.data.trash.filter(e => e.id !== trashId);
+        this.queueDelete('trash', trashId);
+        this.save();
+    },
+
+    deleteFromTrash(ids) {
+        this.data.trash = this.data.trash.filter(e => !ids.includes(e.id));
+        ids.forEach(id => this.queueDelete('trash', id));
+        this.save();
+        this.pruneAttachments().catch(err => console.error('Erro ao limpar anexos:', err));
+    },
+
+    // Apaga de vez o que está na lixeira há mais de trashDays dias
+    purgeTrash() {
+        const limit = Date.now() - this.data.trashDays * 24 * 60 * 60 * 1000;
+        const expired = this.data.trash.filter(e => new Date(e.deletedAt).getTime() < limit).map(e => e.id);
+        if (expired.length > 0) this.deleteFromTrash(expired);
+    },
+
+    setNotifications(updates) {
+        this.data.notifications = { ...this.data.notifications, ...updates };
+        this.queueSetting('notifications');
+        this.save();
+    },
+
+    // Avisos de vencimento dos próximos dias: contas da Casa não pagas, faturas de cartão, lembretes sem valor e recorrentes ainda não geradas.
+    // Cada conta gera um aviso daysBefore dias antes e outro no dia; o service worker mostra os que já chegaram.
+    getDueAlerts(days = 35) {
+        const { daysBefore } = this.data.notifications;
+        const today = new Date();
+        today.setHours(12, 0, 0, 0);
+        const todayKey = this.dateKey(today);
+        const horizon = new Date(today);
+        horizon.setDate(horizon.getDate() + days);
+        const horizonKey = this.dateKey(horizon);
+
+        const items = []; // { key, due: Date, name, amount, data }
+        this.data.transactions
+            .filter(t => t.isHomeExpense && t.type === 'expense' && !t.isPaid && !this.getCardPurchase(t))
+            .forEach(t => {
+                const due = new Date(t.dueDate || t.date);
+                items.push({ key: t.id, due, name: t.category, amount: t.isReminder ? 0 : t.amount, data: { id: t.id } });
+            });
+
+        // Faturas entram como uma conta só (as compras ficam de fora acima)
+        for (let m = 0; m <= Math.ceil(days / 28); m++) {
+            this.getInvoicesDueInMonth(new Date(today.getFullYear(), today.getMonth() + m, 1).toISOString())
+                .filter(invoice => !invoice.isPaid)
+                .forEach(invoice => items.push({
+                    key: `${invoice.card.id}:${invoice.key}`,
+                    due: invoice.due,
+                    name: `Fatura ${invoice.card.name}`,
+                    amount: invoice.total,
+                    data: { cardId: invoice.card.id, invoice: invoice.key }
+                }));
+        }
+
+        // Ocorrências apagadas (na lixeira) não voltam a ser lembradas, como em ensureRecurringForMonth
+        const generated = [...this.data.transactions, ...this.data.trash.filter(e => e.store === 'transactions').map(e => e.record)].filter(t => t.recurringId);
+        this.data.recurring
+            .filter(r => r.active && r.type !== 'income')
+            .forEach(rule => {
+                for (let m = 0; m <= Math.ceil(days / 28); m++) {
+                    const month = new Date(today.getFullYear(), today.getMonth() + m, 1);
+                    this.getRuleOccurrences(rule, month.getFullYear(), month.getMonth()).forEach(date => {
+                        if (this.hasOccurrence(rule, date, generated)) return;
+                        const occurrence = this.dateKey(date);
+                        items.push({
+                            key: `${rule.id}:${occurrence}`,
+                            due: date,
+                            name: rule.title,
+                            amount: rule.type === 'reminder' ? 0 : rule.amount,
+                            data: { recurringId: rule.id, occurrence }
+                        });
+                    });
+                }
+            });
+
+        const alerts = [];
+        items.forEach(item => {
+            const dueKey = this.dateKey(item.due);
+            if (dueKey < todayKey || dueKey > horizonKey) return;
+
+            const before = new Date(item.due);
+            before.setDate(before.getDate() - daysBefore);
+            const dayBefore = new Date(item.due);
+            dayBefore.setDate(dayBefore.getDate() - 1);
+            const body = item.amount ? `${item.name} • ${this.formatCurrency(item.amount)}` : `${item.name} • defina o valor da conta`;
+            const when = [];
+            // Aviso antecipado vale até a véspera; no dia, só o "Vence hoje"
+            if (daysBefore > 0) when.push({ kind: 'before', on: this.dateKey(before), until: this.dateKey(dayBefore), title: `Vence dia ${item.due.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })}: ${item.name}` });
+            when.push({ kind: 'due', on: dueKey, until: dueKey, title: `Vence hoje: ${item.name}` });
+
+            when.forEach(w => alerts.push({
+                tag: `${item.key}:${w.kind}`,
+                notifyOn: w.on,
+                until: w.until,
+                title: w.title,
+                body: `${body} (vencimento ${item.due.toLocaleDateString('pt-BR')})`,
+                data: item.data
+            }));
+        });
+        return alerts.sort((a, b) => a.notifyOn.localeCompare(b.notifyOn));
+    },
+
+    setTrashDays(days) {
+        this.data.trashDays = days;
+        this.queueSetting('trashDays');
+        this.purgeTrash();
+        this.save();
+    },
+
+    addCustomCategory(name) {
+        if (!this.data.customCategories.includes(name)) {
+            this.data.customCategories.push(name);
+            this.queueSetting('customCategories');
+            this.save();
+        }
+    },
+
+    // Reports
+    getReportTransactions() {
+        const { reportStartDate, reportEndDate } = this.data;
+        return this.data.transactions.filter(t =>
+            this.isWithinRange(t.date, reportStartDate, reportEndDate)
+        );
+    },
+
+    groupByCategory(list) {
+        const map = {};
+        let total = 0;
+        list.forEach(t => {
+            const cat = t.category || 'Outros';
+            if (!map[cat]) map[cat] = 0;
+            map[cat] += t.amount;
+            total += t.amount;
+        });
+        return Object.entries(map)
+            .sort((a, b) => b[1] - a[1]) // Sort big to small
+            .map(([name, val]) => ({ name, val, percent: total > 0 ? (val / total * 100) : 0 }));
+    },
+
+    // Helpers
+    formatCurrency(val) {
+        return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(val);
+    },
+
+    // Texto vindo de fora (memo do Pix, nome do arquivo do extrato) antes de ir para o innerHTML
+    escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    },
+
+    // Date Helpers
+    dateKey(date) { // YYYY-MM-DD no fuso local
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    isSameDay(d1Str, d2Str) {
+        const d1 = new Date(d1Str);
+        const d2 = new Date(d2Str);
+        return d1.toDateString() === d2.toDateString();
+    },
+
+    isSameMonth(d1Str, d2Str) {
+        const d1 = new Date(d1Str);
+        const d2 = new Date(d2Str);
+        return d1.getMonth() === d2.getMonth() && d1.getFullYear() === d2.getFullYear();
+    },
+
+    isWithinRange(dateStr, startStr, endStr) {
+        const d = new Date(dateStr);
+        // Ajustar start para 00:00:00 e end para 23:59:59
+        const start = new Date(startStr);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(endStr);
+        end.setHours(23, 59, 59, 999);
+        return d >= start && d <= end;
+    },
+
+    // Data Management
+    getBackupData() {
+        return JSON.stringify(this.data);
+    },
+
+    // Lê e migra um backup. Lança Error com mensagem para o usuário quando não pode ser usado
+    parseBackupData(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            console.error(e);
+            throw new Error('Erro ao ler arquivo de backup. Verifique se é um arquivo válido.');
+        }
+        if (!data || !Array.isArray(data.transactions) || !Array.isArray(data.accounts)) {
+            throw new Error('Arquivo de backup inválido: transações ou contas não encontradas.');
+        }
+
+        return Schema.migrate(data);
+    },
+
+    // Restauração destrutiva: substitui tudo pelo conteúdo do backup (já passado por parseBackupData)
+    loadBackupData(data) {
+        // Campos ausentes em backups antigos mantêm os valores atuais/padrão
+        const restored = { ...data };
+        DB.deviceSettings.forEach(key => delete restored[key]);
+        this.data = { ...this.data, ...restored };
+
+        // Substitui todo o conteúdo salvo pelo do backup
+        DB.collections.forEach(name => {
+            this.pending.push({ type: 'clear', store: name });
+            data[name].forEach(record => this.queuePut(name, record));
+        });
+        DB.settings.filter(key => !DB.deviceSettings.includes(key)).forEach(key => this.queueSetting(key));
+        this.save();
+        this.pruneAttachments().catch(err => console.error('Erro ao limpar anexos:', err));
+    },
+
+    // Guia do DAS da competência, inclusive na lixeira (cada aparelho gera as suas com ids próprios)
+    findDasBill(accountId, period) {
+        return [
+            ...this.data.transactions,
+            ...this.data.trash.filter(e => e.store === 'transactions').map(e => e.record)
+        ].find(t => t.isDas && t.accountId === accountId && t.dasPeriod === period);
+    },
+
+    // Compara o backup com os dados atuais pelo id: novo = adiciona, mais recente = atualiza, resto = ignora
+    planMerge(data) {
+        const stamp = r => r.updatedAt || r.createdAt || '';
+        const plan = {};
+
+        DB.collections.forEach(name => {
+            const current = new Map(this.data[name].map(r => [r.id, r]));
+            // Excluídos aqui (na lixeira) só voltam se o backup tiver uma versão posterior à exclusão
+            const trashed = new Map(this.data.trash.filter(e => e.store === name).map(e => [e.record.id, e]));
+            const result = { added: [], updated: [], skipped: 0 };
+
+            data[name].forEach(record => {
+                const deleted = !current.has(record.id) && trashed.get(record.id);
+                if (deleted) {
+                    if (stamp(record) > deleted.deletedAt) result.added.push(record);
+                    else result.skipped++;
+                    return;
+                }
+
+                const existing = current.get(record.id);
+                // Guia do DAS já gerada neste aparelho para a mesma conta e competência (ids diferentes)
+                const bill = !existing && name === 'transactions' && record.isDas && this.findDasBill(record.accountId, record.dasPeriod);
+                if (bill) {
+                    // Fica a cópia paga ou, com o mesmo status, a mais recente (mantendo o id deste aparelho)
+                    const better = bill.isPaid !== !!record.isPaid ? !!record.isPaid : stamp(record) > stamp(bill);
+                    if (better && this.data.transactions.includes(bill)) result.updated.push({ ...record, id: bill.id });
+                    else result.skipped++;
+                } else if (!existing && name === 'trash') {
+                    // Apagado no outro aparelho: o registro daqui só vai para a lixeira se foi apagado lá depois da última alteração aqui
+                    const live = (this.data[record.store] || []).find(r => r.id === record.record.id);
+                    const inTrash = this.data.trash.some(e => e.store === record.store && e.record.id === record.record.id);
+                    if (inTrash || (live && record.deletedAt <= stamp(live))) result.skipped++;
+                    else result.added.push(record);
+                } else if (!existing) {
+                    // Recorrente já gerada neste aparelho para a mesma ocorrência (ids diferentes)
+                    const rule = name === 'transactions' && record.recurringId && (this.data.recurring.find(r => r.id === record.recurringId) || { id: record.recurringId });
+                    const isDuplicate = rule && this.hasOccurrence(rule, new Date(record.occurrence ? record.occurrence + 'T12:00:00' : record.date), this.data.transactions);
+                    if (isDuplicate) result.skipped++;
+                    else result.added.push(record);
+                } else if (stamp(record) > stamp(existing)) {
+                    result.updated.push(record);
+                } else {
+                    result.skipped++;
+                }
+            });
+            plan[name] = result;
+        });
+        return plan;
+    },
+
+    mergeBackupData(data) {
+        const plan = this.planMerge(data);
+
+        DB.collections.forEach(name => {
+            plan[name].updated.forEach(record => {
+                const idx = this.data[name].findIndex(r => r.id === record.id);
+                this.data[name][idx] = record;
+                this.queuePut(name, record);
+            });
+            plan[name].added.forEach(record => {
+                this.data[name].push(record);
+                this.queuePut(name, record);
+            });
+        });
+
+        // Entrada da lixeira trazida pelo backup: o registro sai da lista (não pode estar vivo e na lixeira ao mesmo tempo)
+        plan.trash.added.forEach(e => {
+            const list = this.data[e.store];
+            if (!list || !list.some(r => r.id === e.record.id)) return;
+            this.data[e.store] = list.filter(r => r.id !== e.record.id);
+            this.queueDelete(e.store, e.record.id);
+        });
+
+        // Registro que voltou pelo backup sai da lixeira (o "Restaurar" duplicaria o id)
+        const revived = this.data.trash.filter(e => DB.collections.includes(e.store) && plan[e.store].added.some(r => r.id === e.record.id));
+        revived.forEach(e => this.queueDelete('trash', e.id));
+        this.data.trash = this.data.trash.filter(e => !revived.includes(e));
+
+        ['customCategories', 'homeCategories'].forEach(key => {
+            const extra = (data[key] || []).filter(c => !this.data[key].includes(c));
+            if (extra.length > 0) {
+                this.data[key].push(...extra);
+                this.queueSetting(key);
+            }
+        });
+
+        // Anos de limite que este aparelho ainda não tem
+        const extraLimits = Object.keys(data.meiLimits || {}).filter(year => this.data.meiLimits[year] === undefined);
+        if (extraLimits.length > 0) {
+            extraLimits.forEach(year => { this.data.meiLimits[year] = data.meiLimits[year]; });
+            this.queueSetting('meiLimits');
+        }
+
+        this.save();
+        this.ensureRecurringForMonth(this.data.selectedMonth);
+        return plan;
+    },
+
+    async clearAllData() {
+        await DB.clear();
+
+        // O recarregamento refaz o init() com os padrões
+        alert('Todas as informações foram apagadas com sucesso.');
+        window.location.reload();
+    },
+
+};
+
+// ==========================================
+// VIEWS (Templates)
+// ==========================================
+const Views = {
+    work() {
+        const dateObj = new Date(Store.data.selectedDate);
+        const dayName = dateObj.toLocaleDateString('pt-BR', { weekday: 'long' });
+        const dateStr = dateObj.toLocaleDateString('pt-BR');
+
+        // Filter Transactions
+        const daily = Store.data.transactions.filter(t =>
+            !t.isHomeExpense && Store.isSameDay(t.date, Store.data.selectedDate)
+        );
+        const income = daily.filter(t => t.type === 'income').reduce((acc, t) => acc + t.amount, 0);
+        const expense = daily.filter(t => t.type === 'expense').reduce((acc, t) => acc + t.amount, 0);
+        const balance = income - expense;
+
+        const transactionsHtml = daily.length === 0
+            ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhum registro hoje.</p>'
+            : daily.map(t => {
+                const account = Store.data.accounts.find(a => a.id === t.accountId);
+                const accLabel = account ? `<span class="text-[10px] px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 ml-2">${account.name}</span>` : '';
+                const client = t.clientId ? Store.data.clients.find(c => c.id === t.clientId) : null;
+
+                if (t.type === 'transfer') {
+                    const target = Store.data.accounts.find(a => a.id === t.toAccountId);
+                    return `
+                <div class="bg-white p-4 rounded-xl shadow-sm border border-blue-50 flex justify-between items-center mb-2 group">
+                    <div class="flex items-center gap-3">
+                        <div class="w-8 h-8 rounded-full bg-blue-50 flex items-center justify-center text-blue-500"><i data-lucide="arrow-right-left" class="w-4 h-4"></i></div>
+                        <div>
+                            <p class="font-semibold text-gray-900">${Store.escapeHtml(t.description || 'Transferência')}</p>
+                            <p class="text-xs text-gray-400">${account ? account.name : '?'} → ${target ? target.name : '?'}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${ui.attachmentBadge(t)}
+                        <span class="font-bold text-blue-600">${Store.formatCurrency(t.amount)}</span>
+                        <button onclick="ui.openModal('edit_transaction', '${t.id}')" class="text-gray-300 hover:text-blue-500 transition-colors p-1"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+                        <button onclick="Actions.deleteTransaction('${t.id}')" class="text-gray-300 hover:text-red-500 transition-colors p-1"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+                    </div>
+                </div>
+            `;
+                }
+
+                return `
+                <div class="bg-white p-4 rounded-xl shadow-sm border ${t.type === 'income' ? 'border-green-50' : 'border-red-50'} flex justify-between items-center mb-2 group">
+                    <div class="flex items-center gap-3">
+                        ${t.type === 'expense'
+                        ? `<div class="w-8 h-8 rounded-full bg-red-50 flex items-center justify-center text-red-500 font-bold text-xs uppercase">${t.category.substring(0, 2)}</div>`
+                        : `<div class="w-8 h-8 rounded-full bg-green-50 flex items-center justify-center text-green-600"><i data-lucide="arrow-down-left" class="w-4 h-4"></i></div>`
+                    }
+                        <div>
+                            <p class="font-semibold text-gray-900 flex items-center">${t.type === 'income' ? Store.escapeHtml(t.description) : t.category} ${accLabel}</p>
+                            <p class="text-xs text-gray-400">${new Date(t.date).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}${client ? ` • ${client.name}` : ''}${t.isPending ? ` • <button onclick="ui.openModal('receivable', '${t.id}')" class="text-amber-600 font-bold">A receber</button>` : ''}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${ui.attachmentBadge(t)}
+                        <span class="font-bold ${t.type === 'income' ? 'text-green-600' : 'text-red-500'}">
+                            ${t.type === 'income' ? '+' : '-'}${Store.formatCurrency(t.amount)}
+                        </span>
+                        <button onclick="ui.openModal('edit_transaction', '${t.id}')" class="text-gray-300 hover:text-blue-500 transition-colors p-1"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+                        <button onclick="Actions.deleteTransaction('${t.id}')" class="text-gray-300 hover:text-red-500 transition-colors p-1"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+                    </div>
+                </div>
+            `}).join('');
+
+        // A Receber: todas as entradas em aberto, não só as do dia
+        const receivables = Store.getReceivables();
+        const receivablesHtml = receivables.map(({ t, received, remaining, overdue }) => {
+            const client = t.clientId ? Store.data.clients.find(c => c.id === t.clientId) : null;
+            return `
+                <div onclick="ui.openModal('receivable', '${t.id}')" class="bg-white p-3 rounded-xl shadow-sm border ${overdue ? 'border-red-200 bg-red-50/40' : 'border-amber-100'} flex justify-between items-center mb-2 cursor-pointer active:scale-[0.99] transition-transform">
+                    <div class="min-w-0">
+                        <p class="font-semibold text-gray-900 text-sm truncate">${Store.escapeHtml(t.description)}${client && client.name !== t.description ? ` <span class="text-xs text-gray-400 font-normal">• ${client.name}</span>` : ''}</p>
+                        <p class="text-xs ${overdue ? 'text-red-600 font-bold' : 'text-gray-400'}">${t.expectedDate ? `${overdue ? 'Atrasado desde' : 'Previsto para'} ${new Date(t.expectedDate + 'T12:00:00').toLocaleDateString('pt-BR')}` : 'Sem previsão'}${received > 0 ? ` • recebido ${Store.formatCurrency(received)}` : ''}</p>
+                    </div>
+                    <span class="font-bold text-sm ${overdue ? 'text-red-600' : 'text-amber-600'} whitespace-nowrap ml-2">${Store.formatCurrency(remaining)}</span>
+                </div>`;
+        }).join('');
+        const receivableTotal = receivables.reduce((acc, r) => acc + r.remaining, 0);
+
+        // Account Limits Status (Only MEI)
 
 
         return `
@@ -389,8 +2542,19 @@ const Views = {
                     <i data-lucide="minus-circle"></i>
                     <span class="font-medium text-sm">Despesa</span>
                 </button>
+                <button onclick="ui.openModal('transfer')" class="col-span-2 bg-white border border-blue-100 text-blue-600 p-3 rounded-xl shadow-sm flex items-center justify-center gap-2 active:scale-95 transition-transform">
+                    <i data-lucide="arrow-right-left" class="w-4 h-4"></i>
+                    <span class="font-medium text-sm">Transferir entre contas</span>
+                </button>
             </div>
 
+            ${receivables.length > 0 ? `
+            <!-- A Receber -->
+            <h3 class="font-bold text-gray-700 mb-3 flex items-center gap-2"><div class="w-1 h-4 bg-amber-500 rounded"></div>A Receber <span class="ml-auto text-sm text-amber-600">${Store.formatCurrency(receivableTotal)}</span></h3>
+            <div class="mb-6">
+                ${receivablesHtml}
+            </div>` : ''}
+
             <!-- Lista -->
             <h3 class="font-bold text-gray-700 mb-3 flex items-center gap-2"><div class="w-1 h-4 bg-blue-500 rounded"></div>Histórico</h3>
             <div class="pb-20">
@@ -403,15 +2567,32 @@ const Views = {
         const dateObj = new Date(Store.data.selectedMonth);
         const monthName = dateObj.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
 
+        // Compras no cartão entram pela fatura, no mês do vencimento
         const monthly = Store.data.transactions.filter(t =>
-            t.isHomeExpense && Store.isSameMonth(t.date, Store.data.selectedMonth)
+            t.isHomeExpense && !Store.getCardPurchase(t) && Store.isSameMonth(t.date, Store.data.selectedMonth)
         );
+        const invoices = Store.getInvoicesDueInMonth(Store.data.selectedMonth);
+
+        const total = monthly.reduce((acc, t) => acc + t.amount, 0) + invoices.reduce((acc, i) => acc + i.total, 0);
 
-        const total = monthly.reduce((acc, t) => acc + t.amount, 0);
+        const invoicesHtml = invoices.map(i => `
+            <div class="bg-white p-4 rounded-xl shadow-sm border ${i.isPaid ? 'border-green-200 bg-green-50/50' : 'border-purple-200'} flex justify-between items-center mb-2 transition-all">
+                <div class="flex items-center gap-3">
+                    <button onclick="Actions.toggleInvoicePaid('${i.card.id}', '${i.key}')" class="${i.isPaid ? 'text-green-500' : 'text-gray-300'}">
+                        <i data-lucide="${i.isPaid ? 'check-circle-2' : 'circle'}" class="w-7 h-7"></i>
+                    </button>
+                    <div>
+                        <p class="font-semibold ${i.isPaid ? 'text-gray-500 line-through' : 'text-gray-900'}">Fatura ${i.card.name}</p>
+                        <button onclick="ui.openModal('card_invoice', '${i.card.id}', '${i.key}')" class="text-xs text-purple-500 font-medium flex items-center gap-1"><i data-lucide="credit-card" class="w-3 h-3"></i> Vence ${i.due.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })} • ${i.items.length} compra(s)${i.isClosed ? '' : ' • aberta'}</button>
+                    </div>
+                </div>
+                <span class="font-bold text-lg text-gray-700">${Store.formatCurrency(i.total)}</span>
+            </div>
+        `).join('');
 
-        const listHtml = monthly.length === 0
+        const listHtml = monthly.length === 0 && invoices.length === 0
             ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhuma conta este mês.</p>'
-            : monthly.map(t => {
+            : invoicesHtml + monthly.map(t => {
                 const isReminder = t.isReminder; // Check flag
 
                 return `
@@ -424,15 +2605,19 @@ const Views = {
                            </button>`
                     }
                     <div>
-                        <p class="font-semibold ${t.isPaid ? 'text-gray-500 line-through' : 'text-gray-900'}">${t.category} ${t.description ? `<span class="text-xs font-normal text-gray-500">(${t.description})</span>` : ''}</p>
-                        <p class="text-xs text-gray-400">${t.dueDate ? 'Vence: ' + new Date(t.dueDate).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' }) : (isReminder ? 'Lembrete de Vencimento' : 'Fixo')}</p>
+                        <p class="font-semibold ${t.isPaid ? 'text-gray-500 line-through' : 'text-gray-900'}">${t.category} ${t.description ? `<span class="text-xs font-normal text-gray-500">(${Store.escapeHtml(t.description)})</span>` : ''}</p>
+                        ${t.installmentId
+                            ? `<button onclick="ui.openModal('installment', '${t.installmentId}')" class="text-xs text-blue-500 font-medium flex items-center gap-1"><i data-lucide="layers" class="w-3 h-3"></i> Ver parcelamento</button>`
+                            : `<p class="text-xs text-gray-400">${t.dueDate ? 'Vence: ' + new Date(t.dueDate).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' }) : (isReminder ? 'Lembrete de Vencimento' : 'Fixo')}</p>`}
                     </div>
                 </div>
                 <div class="flex items-center gap-3">
+                    ${ui.attachmentBadge(t)}
                     ${isReminder
                         ? `<button onclick="ui.openModal('update_reminder', '${t.id}')" class="bg-orange-100 text-orange-600 px-3 py-1 rounded-lg text-xs font-bold shadow-sm active:scale-95 transition-transform">Definir Valor</button>`
                         : `<span class="font-bold text-lg text-gray-700">${Store.formatCurrency(t.amount)}</span>`
                     }
+                    <button onclick="ui.openModal('edit_transaction', '${t.id}')" class="text-gray-300 hover:text-blue-500 transition-colors p-1"><i data-lucide="pencil" class="w-4 h-4"></i></button>
                     <button onclick="Actions.deleteTransaction('${t.id}')" class="text-gray-300 hover:text-red-500 transition-colors p-1"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
                 </div>
             </div>
@@ -450,9 +2635,12 @@ const Views = {
                 <div class="text-4xl font-bold mt-2">${Store.formatCurrency(total)}</div>
             </div>
 
-            <button onclick="ui.openModal('home_expense')" class="w-full bg-blue-500 active:bg-blue-600 text-white p-4 rounded-xl shadow-lg shadow-blue-200 flex items-center justify-center gap-2 mb-6 text-lg font-semibold">
+            <button onclick="ui.openModal('home_expense')" class="w-full bg-blue-500 active:bg-blue-600 text-white p-4 rounded-xl shadow-lg shadow-blue-200 flex items-center justify-center gap-2 mb-3 text-lg font-semibold">
                 <i data-lucide="plus"></i> Adicionar Conta
             </button>
+            <button onclick="ui.openModal('cards')" class="w-full bg-white border border-purple-100 text-purple-600 p-3 rounded-xl shadow-sm flex items-center justify-center gap-2 mb-6 font-semibold active:scale-95 transition-transform">
+                <i data-lucide="credit-card" class="w-5 h-5"></i> Cartões de Crédito
+            </button>
 
             <div class="pb-20">
                 ${listHtml}
@@ -464,36 +2652,24 @@ const Views = {
         const { reportFilter, reportStartDate, reportEndDate } = Store.data;
 
         // Validar e Filtrar Transações
-        const filtered = Store.data.transactions.filter(t =>
-            Store.isWithinRange(t.date, reportStartDate, reportEndDate)
-        );
+        const filtered = Store.getReportTransactions();
 
         const workTransactions = filtered.filter(t => !t.isHomeExpense);
         const homeTransactions = filtered.filter(t => t.isHomeExpense);
 
-        const workIncome = workTransactions.filter(t => t.type === 'income').reduce((acc, t) => acc + t.amount, 0);
+        // Faturamento pelo critério escolhido em Limites do MEI (vendas ou recebimentos do período)
+        const revenue = Store.getRevenueEntries(t => !t.isHomeExpense)
+            .filter(e => Store.isWithinRange(e.date, reportStartDate, reportEndDate));
+        const workIncome = revenue.reduce((acc, e) => acc + e.amount, 0);
         const workExpense = workTransactions.filter(t => t.type === 'expense').reduce((acc, t) => acc + t.amount, 0);
         const homeCost = homeTransactions.reduce((acc, t) => acc + t.amount, 0);
         const workProfit = workIncome - workExpense;
         const totalBalance = workProfit - homeCost;
 
-        // Grouping Helper
-        const groupByCat = (list) => {
-            const map = {};
-            let total = 0;
-            list.forEach(t => {
-                const cat = t.category || 'Outros';
-                if (!map[cat]) map[cat] = 0;
-                map[cat] += t.amount;
-                total += t.amount;
-            });
-            return Object.entries(map)
-                .sort((a, b) => b[1] - a[1]) // Sort big to small
-                .map(([name, val]) => ({ name, val, percent: total > 0 ? (val / total * 100) : 0 }));
-        };
-
-        const workExpGroups = groupByCat(workTransactions.filter(t => t.type === 'expense'));
-        const homeGroups = groupByCat(homeTransactions);
+        const workExpGroups = Store.groupByCategory(workTransactions.filter(t => t.type === 'expense'));
+        const ranking = Store.getClientRanking(revenue);
+        const companyWithoutInvoice = workTransactions.filter(t => Store.isCompanySaleWithoutInvoice(t)).length;
+        const homeGroups = Store.groupByCategory(homeTransactions);
 
         // Chart Renderer Helper
         const renderChart = (groups, colorClass) => {
@@ -545,7 +2721,10 @@ const Views = {
 
         return `
             <div class="p-2 pb-24">
-                <h2 class="text-2xl font-bold mb-4 text-gray-900 px-2">Relatórios</h2>
+                <div class="flex justify-between items-center mb-4 px-2">
+                    <h2 class="text-2xl font-bold text-gray-900">Relatórios</h2>
+                    <button onclick="ui.openModal('report_export')" class="p-2 bg-white border border-gray-200 rounded-full text-gray-600 shadow-sm active:scale-95 transition-transform"><i data-lucide="file-spreadsheet" class="w-5 h-5"></i></button>
+                </div>
 
                 <!-- Filtros -->
                 <div class="flex gap-2 mb-4 px-1">
@@ -565,7 +2744,7 @@ const Views = {
                         </div>
 
                         <div class="flex justify-between text-sm mb-1">
-                            <span class="text-gray-600">Faturamento</span>
+                            <span class="text-gray-600">Faturamento${Store.data.revenueBasis === 'received' ? ' (recebido)' : ''}</span>
                             <span class="font-semibold text-green-600">+${Store.formatCurrency(workIncome)}</span>
                         </div>
                         <div class="flex justify-between text-sm mb-3">
@@ -602,6 +2781,26 @@ const Views = {
                         </div>
                     </div>
 
+                    <!-- CLIENTS CARD -->
+                    <div class="bg-white p-5 rounded-xl border-l-4 border-green-500 shadow-sm">
+                        <div class="flex justify-between items-center mb-3">
+                            <h3 class="text-xs font-bold text-gray-400 uppercase tracking-wider">Ranking de Clientes</h3>
+                            <button onclick="ui.openModal('clients')" class="text-xs font-bold bg-green-50 text-green-700 px-2 py-1 rounded hover:bg-green-100 transition-colors">Clientes <i data-lucide="chevron-right" class="inline w-3 h-3"></i></button>
+                        </div>
+                        ${ranking.length === 0 ? '<p class="text-center text-gray-400 py-2 text-xs">Sem entradas no período.</p>' : ranking.slice(0, 5).map((r, i) => `
+                            <div ${r.client ? `onclick="ui.openModal('client', '${r.client.id}')"` : ''} class="mb-3 ${r.client ? 'cursor-pointer' : ''}">
+                                <div class="flex justify-between text-xs mb-1 font-medium text-gray-600">
+                                    <span>${i + 1}. ${r.client ? r.client.name : 'Sem cliente'} <span class="text-gray-400">(${r.count})</span></span>
+                                    <span>${Store.formatCurrency(r.total)} (${r.percent.toFixed(1)}%)</span>
+                                </div>
+                                <div class="w-full bg-gray-100 rounded-full h-1.5 overflow-hidden">
+                                    <div class="bg-green-500 h-1.5 rounded-full" style="width: ${r.percent}%"></div>
+                                </div>
+                            </div>
+                        `).join('')}
+                        ${companyWithoutInvoice > 0 ? `<p class="text-xs text-red-600 mt-2">${companyWithoutInvoice} venda(s) para empresas (CNPJ) sem nota fiscal no período.</p>` : ''}
+                    </div>
+
                     <div class="p-6 rounded-xl text-center border-2 ${totalBalance >= 0 ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
                         <span class="text-sm font-bold text-gray-500 uppercase tracking-widest block mb-1">
                             ${totalBalance >= 0 ? 'Saldo Livre' : 'Prejuízo Total'}
@@ -615,17 +2814,183 @@ const Views = {
         `;
     },
 
-    mei() {
-        // Recalcular status para garantir dados frescos
-        const list = Store.data.accounts.map(a => {
-            const annualStatus = Store.getAccountLimitStatus(a.id);
-            const monthlyStatus = Store.getAccountMonthlyStatus(a.id);
-            let limitInfo = '';
+    // Documento no layout oficial do Relatório Mensal das Receitas Brutas (monthStr = 'YYYY-MM')
+    revenueReport(accountId, monthStr) {
+        const account = Store.data.accounts.find(a => a.id === accountId);
+        if (!account) return '';
 
-            if (a.type === 'mei' && annualStatus && monthlyStatus) {
-                // Helper para cor da barra
-                const getBarColor = (val, safe, max) => {
-                    if (val > max) return 'bg-red-600'; // Estourou limite máximo
+        const [year, month] = monthStr.split('-').map(Number);
+        const rev = Store.getMonthlyRevenue(accountId, year, month - 1);
+        const period = new Date(year, month - 1, 1).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+
+        const row = (label, value, strong = false) => `
+            <tr class="${strong ? 'font-bold bg-gray-50' : ''}">
+                <td class="border border-gray-400 px-2 py-1.5">${label}</td>
+                <td class="border border-gray-400 px-2 py-1.5 text-right whitespace-nowrap w-32">${Store.formatCurrency(value)}</td>
+            </tr>
+        `;
+        const section = title => `
+            <tr><td colspan="2" class="border border-gray-400 px-2 py-1.5 font-bold uppercase text-[11px] bg-gray-100">${title}</td></tr>
+        `;
+
+        return `
+            <div class="bg-white text-gray-900 text-xs p-4 leading-snug">
+                <h1 class="text-center font-bold text-sm uppercase mb-4">Relatório Mensal das Receitas Brutas</h1>
+
+                <table class="w-full border-collapse mb-4">
+                    <tr><td class="border border-gray-400 px-2 py-1.5 font-bold w-40">CNPJ</td><td class="border border-gray-400 px-2 py-1.5 font-mono">${account.cnpj || ''}</td></tr>
+                    <tr><td class="border border-gray-400 px-2 py-1.5 font-bold">Empreendedor Individual</td><td class="border border-gray-400 px-2 py-1.5">${account.name}</td></tr>
+                    <tr><td class="border border-gray-400 px-2 py-1.5 font-bold">Período de Apuração</td><td class="border border-gray-400 px-2 py-1.5 capitalize">${period}</td></tr>
+                </table>
+
+                <table class="w-full border-collapse mb-6">
+                    ${section('Receita bruta mensal – Revenda de mercadorias (comércio)')}
+                    ${row('I – Revenda de mercadorias com dispensa de emissão de documento fiscal', rev.commerce.noInvoice)}
+                    ${row('II – Revenda de mercadorias com documento fiscal emitido', rev.commerce.invoice)}
+                    ${row('III – Total das receitas com revenda de mercadorias (I + II)', rev.commerce.total, true)}
+                    ${section('Receita bruta mensal – Venda de produtos industrializados (indústria)')}
+                    ${row('IV – Venda de produtos industrializados com dispensa de emissão de documento fiscal', rev.industry.noInvoice)}
+                    ${row('V – Venda de produtos industrializados com documento fiscal emitido', rev.industry.invoice)}
+                    ${row('VI – Total das receitas com venda de produtos industrializados (IV + V)', rev.industry.total, true)}
+                    ${section('Receita bruta mensal – Prestação de serviços')}
+                    ${row('VII – Receita com prestação de serviços com dispensa de emissão de documento fiscal', rev.services.noInvoice)}
+                    ${row('VIII – Receita com prestação de serviços com documento fiscal emitido', rev.services.invoice)}
+                    ${row('IX – Total das receitas com prestação de serviços (VII + VIII)', rev.services.total, true)}
+                    ${row('X – Total geral das receitas brutas no mês (III + VI + IX)', rev.total, true)}
+                </table>
+
+                <p class="mb-10">Local e data: ______________________________, ${new Date().toLocaleDateString('pt-BR')}</p>
+
+                <div class="w-2/3 mx-auto border-t border-gray-700 pt-1 text-center mb-8">Assinatura do Empresário</div>
+
+                <p class="font-bold uppercase text-[11px] mb-1">Encontram-se anexados a este relatório:</p>
+                <ul class="list-disc pl-5 space-y-1">
+                    <li>Os documentos fiscais comprobatórios das entradas de mercadorias e serviços tomados referentes ao período;</li>
+                    <li>As notas fiscais relativas às operações ou prestações realizadas eventualmente emitidas.</li>
+                </ul>
+            </div>
+        `;
+    },
+
+    // Resumo da DASN-SIMEI para conferência/impressão
+    dasnSummary(accountId, year) {
+        const summary = Store.getDasnSummary(accountId, year);
+        if (!summary) return '';
+        const { account, months } = summary;
+
+        const field = (label, value) => `
+            <tr>
+                <td class="border border-gray-400 px-2 py-1.5">${label}</td>
+                <td class="border border-gray-400 px-2 py-1.5 text-right font-bold whitespace-nowrap w-32">${value}</td>
+            </tr>
+        `;
+
+        return `
+            <div class="bg-white text-gray-900 text-xs p-4 leading-snug">
+                <h1 class="text-center font-bold text-sm uppercase mb-1">DASN-SIMEI • Ano-Calendário ${year}</h1>
+                <p class="text-center text-gray-500 mb-4">${account.name}${account.cnpj ? ` • CNPJ ${account.cnpj}` : ''}</p>
+
+                <table class="w-full border-collapse mb-4">
+                    ${field('Receita bruta total', Store.formatCurrency(summary.total))}
+                    ${field('Receita de comércio, indústria e transporte (sujeita ao ICMS)', Store.formatCurrency(summary.icms))}
+                    ${field('Receita de prestação de serviços (sujeita ao ISS)', Store.formatCurrency(summary.services))}
+                    ${field('Possuía empregado contratado?', summary.hadEmployee ? 'Sim' : 'Não')}
+                </table>
+
+                <table class="w-full border-collapse">
+                    <tr class="bg-gray-100 font-bold">
+                        <td class="border border-gray-400 px-2 py-1">Mês</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">Comércio/Indústria</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">Serviços</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">Total</td>
+                    </tr>
+                    ${months.map(m => `
+                    <tr>
+                        <td class="border border-gray-400 px-2 py-1 capitalize">${new Date(year, m.month, 1).toLocaleDateString('pt-BR', { month: 'long' })}</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">${Store.formatCurrency(m.icms)}</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">${Store.formatCurrency(m.services)}</td>
+                        <td class="border border-gray-400 px-2 py-1 text-right">${Store.formatCurrency(m.total)}</td>
+                    </tr>`).join('')}
+                </table>
+            </div>
+        `;
+    },
+
+    mei() {
+        const period = new Date(Store.data.meiMonth);
+        const year = period.getFullYear();
+        const monthLabel = period.toLocaleDateString('pt-BR', { month: 'short' }).replace('.', '');
+        const hasMei = Store.data.accounts.some(a => a.type === 'mei');
+        const archived = Store.data.accounts.filter(a => a.archived);
+
+        const archivedList = archived.map(a => `
+            <div class="bg-white/60 p-4 rounded-xl border border-dashed border-gray-200 mb-2 flex justify-between items-center">
+                <div>
+                    <p class="font-bold text-gray-500">${a.name}</p>
+                    <p class="text-xs text-gray-400">Saldo: ${Store.formatCurrency(Store.getAccountBalance(a.id))}</p>
+                </div>
+                <div class="flex gap-1">
+                    <button onclick="Actions.archiveAccount('${a.id}', false)" class="text-blue-600 bg-blue-50 px-3 py-2 rounded-lg text-xs font-bold active:scale-95 transition-transform">Reativar</button>
+                    <button onclick="Actions.deleteAccount('${a.id}')" class="text-gray-300 hover:text-red-500 p-2"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+                </div>
+            </div>
+        `).join('');
+
+        // Recalcular status para garantir dados frescos
+        const list = Store.getActiveAccounts().map(a => {
+            const annualStatus = Store.getAccountLimitStatus(a.id, year);
+            const monthlyStatus = Store.getAccountMonthlyStatus(a.id, year, period.getMonth());
+            let limitInfo = '';
+
+            let dasInfo = '';
+            if (a.type === 'mei') {
+                const das = Store.getDasStatus(a.id);
+                const periodLabel = t => t.dasPeriod.split('-').reverse().join('/');
+
+                dasInfo = !das ? `
+                    <button onclick="ui.openModal('das_config', '${a.id}')" class="w-full mt-4 flex items-center justify-center gap-2 bg-blue-50 border border-blue-100 text-blue-700 py-2.5 rounded-xl text-xs font-bold active:scale-95 transition-transform">
+                        <i data-lucide="receipt" class="w-4 h-4"></i> Configurar DAS-MEI
+                    </button>
+                ` : `
+                    <div class="mt-4 p-3 rounded-xl border ${das.overdue.length > 0 ? 'bg-red-50 border-red-100' : 'bg-green-50 border-green-100'} flex items-center justify-between gap-2">
+                        <div class="min-w-0">
+                            <p class="text-[10px] font-bold uppercase tracking-wide ${das.overdue.length > 0 ? 'text-red-400' : 'text-green-600'}">DAS-MEI</p>
+                            ${das.overdue.length > 0
+                        ? `<p class="text-sm font-bold text-red-600">${das.overdue.length} em atraso • ${Store.formatCurrency(das.owed)}</p>
+                           <p class="text-[10px] text-red-500 truncate">${das.overdue.map(periodLabel).join(', ')}</p>`
+                        : `<p class="text-sm font-bold text-green-700">Em dia</p>
+                           ${das.next ? `<p class="text-[10px] text-green-600">Próxima: ${new Date(das.next.dueDate).toLocaleDateString('pt-BR')} • ${Store.formatCurrency(das.next.amount)}</p>` : ''}`
+                    }
+                        </div>
+                        <div class="flex gap-1 shrink-0">
+                            <button onclick="ui.openModal('das_list', '${a.id}')" class="p-2 bg-white rounded-lg border border-gray-200 text-gray-600 active:scale-95 transition-transform"><i data-lucide="list" class="w-4 h-4"></i></button>
+                            <button onclick="ui.openModal('das_config', '${a.id}')" class="p-2 bg-white rounded-lg border border-gray-200 text-gray-600 active:scale-95 transition-transform"><i data-lucide="settings-2" class="w-4 h-4"></i></button>
+                        </div>
+                    </div>
+                `;
+            }
+
+            if (a.type === 'mei' && !annualStatus) {
+                limitInfo = `<p class="mt-3 text-xs text-gray-400 italic">MEI aberto depois de ${year}.</p>`;
+            } else if (a.type === 'mei' && annualStatus && monthlyStatus) {
+                const short = v => `${+(v / 1000).toFixed(2)}k`;
+                const dayLabel = d => d.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+
+                // Projeção só faz sentido para o ano em andamento
+                const forecast = year === new Date().getFullYear() ? Store.getMeiForecast(a.id) : null;
+                const forecastInfo = !forecast ? '' : `
+                        <div class="bg-gray-50 rounded-lg border border-gray-100 p-3 text-[11px] text-gray-600 space-y-1">
+                            <p class="flex justify-between"><span>Projeção até 31/12</span> <span class="font-bold text-gray-800">${Store.formatCurrency(forecast.projected)}</span></p>
+                            <p class="flex justify-between"><span>Ritmo atual${forecast.recurringMonthly ? ' + recorrentes' : ''}</span> <span class="font-bold">${Store.formatCurrency(forecast.monthlyRate)}/mês${forecast.recurringMonthly ? ` + ${Store.formatCurrency(forecast.recurringMonthly)}` : ''}</span></p>
+                            ${forecast.crossSafe
+                        ? `<p class="flex justify-between ${forecast.crossMax ? 'text-red-600' : 'text-orange-600'}"><span>Passa de ${short(forecast.limitSafe)}</span> <span class="font-bold">${dayLabel(forecast.crossSafe)}${forecast.crossMax ? ` • ${short(forecast.limitMax)} em ${dayLabel(forecast.crossMax)}` : ''}</span></p>`
+                        : `<p class="text-green-600 font-medium">Nesse ritmo não passa do limite este ano.</p>`}
+                            <p class="flex justify-between"><span>Ainda pode faturar</span> <span class="font-bold text-blue-600">${Store.formatCurrency(forecast.budget)}/mês até dez</span></p>
+                        </div>`;
+
+                // Helper para cor da barra
+                const getBarColor = (val, safe, max) => {
+                    if (val > max) return 'bg-red-600'; // Estourou limite máximo
                     if (val > safe) return 'bg-orange-500'; // Passou do seguro, mas < max
                     if (val > (safe * 0.9)) return 'bg-yellow-400'; // 90% do seguro
                     return 'bg-green-500';
@@ -636,7 +3001,7 @@ const Views = {
                         <!-- Anual -->
                         <div>
                              <div class="flex justify-between items-center mb-1">
-                                <span class="text-[10px] font-bold text-gray-400 uppercase tracking-wide">Ano (81k | 97.2k)</span>
+                                <span class="text-[10px] font-bold text-gray-400 uppercase tracking-wide">${year} (${short(annualStatus.limitSafe)} | ${short(annualStatus.limitMax)})${annualStatus.proportional ? ` • ${annualStatus.months} meses` : ''}</span>
                                 <div class="flex items-center gap-2">
                                     <span class="text-[10px] font-bold bg-gray-50 px-1.5 py-0.5 rounded text-gray-500">${annualStatus.percent.toFixed(1)}%</span>
                                     <span class="text-xs font-bold text-gray-700">${Store.formatCurrency(annualStatus.total)}</span>
@@ -650,7 +3015,7 @@ const Views = {
                         <!-- Mensal -->
                         <div>
                              <div class="flex justify-between items-center mb-1">
-                                <span class="text-[10px] font-bold text-gray-400 uppercase tracking-wide">Mês (6.75k | 8.1k)</span>
+                                <span class="text-[10px] font-bold text-gray-400 uppercase tracking-wide"><span class="capitalize">${monthLabel}</span> (${short(monthlyStatus.limitSafe)} | ${short(monthlyStatus.limitMax)})</span>
                                 <div class="flex items-center gap-2">
                                     <span class="text-[10px] font-bold bg-gray-50 px-1.5 py-0.5 rounded text-gray-500">${monthlyStatus.percent.toFixed(1)}%</span>
                                     <span class="text-xs font-bold text-gray-700">${Store.formatCurrency(monthlyStatus.total)}</span>
@@ -660,6 +3025,17 @@ const Views = {
                                 <div class="${getBarColor(monthlyStatus.total, monthlyStatus.limitSafe, monthlyStatus.limitMax)} h-2 rounded-full transition-all" style="width: ${Math.min((monthlyStatus.total / monthlyStatus.limitMax) * 100, 100)}%"></div>
                             </div>
                         </div>
+
+                        ${forecastInfo}
+
+                        ${annualStatus.status !== 'safe' ? `
+                        <button onclick="ui.openModal('excess', '${a.id}', ${year})" class="w-full flex items-center justify-center gap-2 ${annualStatus.status === 'critical' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-orange-50 border-orange-200 text-orange-700'} border py-2 rounded-lg text-xs font-bold active:scale-95 transition-transform">
+                            <i data-lucide="calculator" class="w-4 h-4"></i> Limite ultrapassado: o que acontece?
+                        </button>` : ''}
+
+                        <button onclick="ui.openModal('mei_history', '${a.id}')" class="text-[10px] font-bold text-blue-600 flex items-center gap-1 active:scale-95 transition-transform">
+                            <i data-lucide="bar-chart-3" class="w-3 h-3"></i> Histórico por ano
+                        </button>
                     </div>
                 `;
             }
@@ -673,15 +3049,19 @@ const Views = {
                             ${a.type === 'mei' ? '<span class="px-2 py-0.5 bg-blue-50 text-blue-600 text-[10px] rounded-full uppercase font-bold">MEI</span>' : '<span class="px-2 py-0.5 bg-gray-100 text-gray-500 text-[10px] rounded-full uppercase font-bold">CX</span>'}
                         </p>
                         ${a.cnpj ? `<p class="text-xs text-gray-500 font-mono mt-0.5">CNPJ: ${a.cnpj}</p>` : ''}
+                        ${a.openingDate ? `<p class="text-xs text-gray-400 mt-0.5">Aberto em ${new Date(a.openingDate + 'T12:00:00').toLocaleDateString('pt-BR')}</p>` : ''}
+                    </div>
+                    <div class="flex">
+                        <button onclick="ui.openModal('account_edit', '${a.id}')" class="text-gray-300 hover:text-blue-500 p-2"><i data-lucide="pencil" class="w-5 h-5"></i></button>
+                        ${a.type !== 'cash' ? `<button onclick="Actions.deleteAccount('${a.id}')" class="text-gray-300 hover:text-red-500 p-2"><i data-lucide="trash-2" class="w-5 h-5"></i></button>` : ''}
                     </div>
-                    ${a.type !== 'cash' ? `<button onclick="Actions.deleteAccount('${a.id}')" class="text-gray-300 hover:text-red-500 p-2"><i data-lucide="trash-2" class="w-5 h-5"></i></button>` : ''}
                 </div>
                 
                 ${a.description ? `<p class="text-sm text-gray-600 mb-3 italic bg-gray-50 p-2 rounded-lg border border-gray-100">"${a.description}"</p>` : ''}
                 
                 <div class="grid grid-cols-2 gap-4 text-xs">
                      <div>
-                        <span class="block text-gray-400 uppercase font-bold text-[10px]">Saldo Inicial (Ano)</span>
+                        <span class="block text-gray-400 uppercase font-bold text-[10px]">Saldo Inicial</span>
                         <span class="font-bold text-gray-700 text-sm">${Store.formatCurrency(a.initialBalance || 0)}</span>
                     </div>
                         <span class="block text-gray-400 uppercase font-bold text-[10px]">Saldo Atual</span>
@@ -690,6 +3070,18 @@ const Views = {
                 </div>
 
                 ${limitInfo}
+
+                ${dasInfo}
+
+                ${a.type === 'mei' ? `
+                <div class="grid grid-cols-2 gap-2 mt-4">
+                    <button onclick="ui.openModal('revenue_report', '${a.id}')" class="flex items-center justify-center gap-2 bg-gray-50 border border-gray-200 text-gray-700 py-2.5 rounded-xl text-xs font-bold active:scale-95 transition-transform">
+                        <i data-lucide="file-text" class="w-4 h-4"></i> Relatório Mensal
+                    </button>
+                    <button onclick="ui.openModal('dasn', '${a.id}')" class="flex items-center justify-center gap-2 bg-gray-50 border border-gray-200 text-gray-700 py-2.5 rounded-xl text-xs font-bold active:scale-95 transition-transform">
+                        <i data-lucide="file-check" class="w-4 h-4"></i> Declaração Anual
+                    </button>
+                </div>` : ''}
             </div>
         `}).join('');
 
@@ -719,7 +3111,18 @@ const Views = {
                                     <input name="initial" id="inp-acc-initial" type="number" step="0.01" class="w-full bg-gray-50/50 focus:bg-white p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500 transition-colors" placeholder="R$ 0,00">
                                 </div>
                             </div>
+
+                            <div>
+                                <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Faturamento no Ano (antes do app)</label>
+                                <input name="openingRevenue" id="inp-acc-opening-revenue" type="number" step="0.01" class="w-full bg-gray-50/50 focus:bg-white p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500 transition-colors" placeholder="R$ 0,00">
+                            </div>
                             
+                            <div>
+                                <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Abertura do MEI</label>
+                                <input name="openingDate" id="inp-acc-opening" type="date" class="w-full bg-gray-50/50 focus:bg-white p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500 transition-colors">
+                                <p class="text-[10px] text-gray-400 mt-1">Aberto este ano? O limite anual fica proporcional aos meses de atividade.</p>
+                            </div>
+
                             <div>
                                 <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Descrição</label>
                                 <textarea name="description" id="inp-acc-desc" class="w-full bg-gray-50/50 focus:bg-white p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500 transition-colors" rows="2" placeholder="Ex: Conta principal para recebimento de serviços..."></textarea>
@@ -730,10 +3133,22 @@ const Views = {
                     </form>
                 </div>
 
-                <h3 class="font-bold text-gray-400 text-xs uppercase mb-4 pl-1">Minhas Contas</h3>
+                <div class="flex justify-between items-center mb-4 pl-1">
+                    <h3 class="font-bold text-gray-400 text-xs uppercase">Minhas Contas</h3>
+                    ${hasMei ? `
+                    <div class="flex items-center gap-1 bg-white border border-gray-200 rounded-full shadow-sm">
+                        <button onclick="Actions.changeMeiMonth(-1)" class="p-1.5 text-gray-500"><i data-lucide="chevron-left" class="w-4 h-4"></i></button>
+                        <span class="text-xs font-bold text-gray-700 capitalize w-16 text-center">${monthLabel} ${year}</span>
+                        <button onclick="Actions.changeMeiMonth(1)" class="p-1.5 text-gray-500"><i data-lucide="chevron-right" class="w-4 h-4"></i></button>
+                    </div>` : ''}
+                </div>
                 <div class="space-y-2">
                     ${list}
                 </div>
+
+                ${archived.length > 0 ? `
+                <h3 class="font-bold text-gray-400 text-xs uppercase mt-8 mb-4 pl-1">Arquivadas</h3>
+                ${archivedList}` : ''}
             </div>
         `;
     }
@@ -799,6 +3214,61 @@ const Actions = {
         }
     },
 
+    // Planilhas do período filtrado nos Relatórios
+    exportReportCsv(kind) {
+        const { reportStartDate, reportEndDate } = Store.data;
+        const period = `${reportStartDate}_${reportEndDate}`;
+        const list = Store.getReportTransactions();
+
+        if (kind === 'categories') {
+            const work = list.filter(t => !t.isHomeExpense);
+            const groups = [
+                { label: 'Trabalho - Despesas', items: Store.groupByCategory(work.filter(t => t.type === 'expense')) },
+                { label: 'Casa', items: Store.groupByCategory(list.filter(t => t.isHomeExpense)) }
+            ];
+            const rows = [];
+            groups.forEach(g => g.items.forEach(c => {
+                rows.push([g.label, c.name, Csv.number(c.val), Csv.number(c.percent)]);
+            }));
+
+            const csv = Csv.build(['Grupo', 'Categoria', 'Total (R$)', 'Percentual (%)'], rows);
+            this.downloadFile(csv, `safe-insert-categorias-${period}.csv`, 'text/csv;charset=utf-8');
+            return;
+        }
+
+        const rows = [...list]
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(t => {
+                const account = Store.data.accounts.find(a => a.id === t.accountId);
+                const target = t.type === 'transfer' ? Store.data.accounts.find(a => a.id === t.toAccountId) : null;
+                const client = t.clientId ? Store.data.clients.find(c => c.id === t.clientId) : null;
+                return [
+                    Csv.date(t.date),
+                    { income: 'Entrada', expense: 'Saída', transfer: 'Transferência' }[t.type],
+                    t.isHomeExpense ? 'Casa' : 'Trabalho',
+                    account ? account.name : '',
+                    account ? account.cnpj : '',
+                    t.category || '',
+                    target ? `${t.description ? t.description + ' ' : ''}(para ${target.name})` : (t.description || ''),
+                    Csv.number(t.amount),
+                    Csv.yesNo(t.type === 'income' ? !t.isPending : (!t.isHomeExpense || t.isPaid)), // Despesas do Trabalho são à vista
+                    Csv.yesNo(t.installmentId),
+                    Csv.yesNo(t.recurringId),
+                    client ? client.name : '',
+                    client ? client.document : ''
+                ];
+            });
+
+        const header = ['Data', 'Tipo', 'Origem', 'Conta', 'CNPJ', 'Categoria', 'Descrição', 'Valor (R$)', 'Pago', 'Parcelado', 'Recorrente', 'Cliente', 'CPF/CNPJ do Cliente'];
+        this.downloadFile(Csv.build(header, rows), `safe-insert-lancamentos-${period}.csv`, 'text/csv;charset=utf-8');
+    },
+
+    // Impressão pelo navegador ("Salvar como PDF"), sem depender de internet
+    printRevenueReport(accountId, monthStr) {
+        document.getElementById('print-area').innerHTML = Views.revenueReport(accountId, monthStr);
+        window.print();
+    },
+
     toggleReportDetails(id) {
         const el = document.getElementById(id);
         if (el) {
@@ -806,6 +3276,121 @@ const Actions = {
         }
     },
 
+    saveDasConfig(e, accountId) {
+        e.preventDefault();
+        const form = e.target;
+        const values = {};
+        form.querySelectorAll('[data-das-year]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value) values[input.dataset.dasYear] = value;
+        });
+
+        Store.setDasConfig(accountId, {
+            activity: form.elements.activity.value,
+            startMonth: form.elements.startMonth.value,
+            values
+        });
+        ui.closeModal();
+    },
+
+    addDasYear(accountId) {
+        const input = document.getElementById('inp-das-new-year');
+        const year = parseInt(input.value);
+        if (!year) return;
+
+        const account = Store.data.accounts.find(a => a.id === accountId);
+        const activity = document.querySelector('[name="activity"]').value;
+        const preview = { das: { activity, values: (account.das && account.das.values) || {} } };
+        const list = document.getElementById('das-years');
+        if (list.querySelector(`[data-das-year="${year}"]`)) return;
+
+        list.insertAdjacentHTML('beforeend', ui.dasYearRow(year, Store.getDasValue(preview, year)));
+        input.value = '';
+    },
+
+    changeMeiMonth(delta) {
+        const d = new Date(Store.data.meiMonth);
+        d.setDate(1);
+        d.setMonth(d.getMonth() + delta);
+        Store.data.meiMonth = d.toISOString();
+        router.renderResults();
+    },
+
+    saveOpeningRevenue(e, accountId) {
+        e.preventDefault();
+        const values = {};
+        e.target.querySelectorAll('[data-opening-year]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value) values[input.dataset.openingYear] = value;
+        });
+
+        Store.setOpeningRevenue(accountId, values);
+        ui.openModal('mei_history', accountId);
+    },
+
+    saveMeiLimits(e) {
+        e.preventDefault();
+        const form = e.target;
+        const limits = {};
+        form.querySelectorAll('[data-limit-year]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value) limits[input.dataset.limitYear] = value;
+        });
+        if (Object.keys(limits).length === 0) return alert('Informe o limite de pelo menos um ano.');
+
+        const openingDates = {};
+        form.querySelectorAll('[data-opening-account]').forEach(input => {
+            openingDates[input.dataset.openingAccount] = input.value;
+        });
+
+        Store.setMeiLimits(limits, openingDates, form.elements.revenueBasis.value);
+        ui.closeModal();
+    },
+
+    addMeiLimitYear() {
+        const input = document.getElementById('inp-limit-new-year');
+        const year = parseInt(input.value);
+        if (!year) return;
+
+        const list = document.getElementById('limit-years');
+        if (list.querySelector(`[data-limit-year="${year}"]`)) return;
+
+        list.insertAdjacentHTML('beforeend', ui.limitYearRow(year, Store.getMeiAnnualLimit(year)));
+        input.value = '';
+    },
+
+    setDasnEmployee(accountId, year, checked) {
+        Store.setDasnEmployee(accountId, year, checked);
+        ui.openModal('dasn', accountId, year);
+    },
+
+    printDasn(accountId, year) {
+        document.getElementById('print-area').innerHTML = Views.dasnSummary(accountId, year);
+        window.print();
+    },
+
+    exportDasnCsv(accountId, year) {
+        const summary = Store.getDasnSummary(accountId, year);
+        const rows = summary.months.map(m => [
+            new Date(year, m.month, 1).toLocaleDateString('pt-BR', { month: 'long' }),
+            Csv.number(m.icms),
+            Csv.number(m.services),
+            Csv.number(m.total)
+        ]);
+        rows.push(['Total', Csv.number(summary.icms), Csv.number(summary.services), Csv.number(summary.total)]);
+        rows.push([]);
+        rows.push(['Possuía empregado', Csv.yesNo(summary.hadEmployee)]);
+        summary.warnings.forEach(w => rows.push(['Aviso', w]));
+
+        const csv = Csv.build(['Mês', 'Comércio/Indústria (ICMS)', 'Serviços (ISS)', 'Total'], rows);
+        this.downloadFile(csv, `safe-insert-dasn-${year}-${summary.account.name.replace(/\W+/g, '-')}.csv`, 'text/csv;charset=utf-8');
+    },
+
+    toggleDasPaid(id, accountId) {
+        this.togglePaid(id);
+        ui.openModal('das_list', accountId);
+    },
+
     updateReminder(e, id) {
         e.preventDefault();
         const amount = parseFloat(document.getElementById('inp-update-amount').value);
@@ -819,13 +3404,281 @@ const Actions = {
         ui.closeModal();
     },
 
+    saveTransactionEdit(e, id) {
+        e.preventDefault();
+        const t = Store.data.transactions.find(item => item.id === id);
+        const form = e.target.elements;
+        const amount = parseFloat(form.amount.value);
+        if (!t || !(amount >= 0)) return;
+
+        // Troca só o dia, mantendo o horário original do lançamento
+        const [y, m, d] = form.date.value.split('-').map(Number);
+        const date = new Date(t.date);
+        date.setFullYear(y, m - 1, d);
+
+        const updates = { amount, date: date.toISOString(), description: form.description.value.trim() };
+        if (form.accountId) updates.accountId = form.accountId.value;
+        if (form.toAccountId) updates.toAccountId = form.toAccountId.value;
+        if (form.category) updates.category = form.category.value.trim() || 'Outros';
+        if (form.revenueType) updates.revenueType = form.revenueType.value;
+        if (form.clientId) updates.clientId = form.clientId.value || undefined;
+        if (form.hasInvoice) updates.hasInvoice = form.hasInvoice.checked;
+        if (form.isPaid) updates.isPaid = form.isPaid.checked;
+        if (form.expectedDate) updates.expectedDate = form.expectedDate.value || undefined;
+        if (t.payments) updates.isPending = Store.getReceivedAmount(t) < amount - 0.005; // Valor novo pode reabrir ou quitar
+        if (t.isReminder && amount > 0) updates.isReminder = false;
+        // Compra à vista no cartão mudou de dia: a fatura acompanha (parcelas mantêm as suas)
+        const card = t.cardId && !t.installmentId && Store.data.cards.find(c => c.id === t.cardId);
+        if (card && updates.date !== t.date) updates.invoice = Store.getInvoiceKey(card, date);
+
+        if (t.type === 'transfer' && updates.accountId === updates.toAccountId) {
+            return alert('Escolha contas de origem e destino diferentes.');
+        }
+
+        Store.updateTransaction(id, updates);
+        ui.closeModal();
+    },
+
+    // Sem confirm: o toast "Desfazer" e a lixeira cobrem toques errados
     deleteTransaction(id) {
-        if (confirm('Tem certeza que deseja excluir este registro?')) {
-            Store.data.transactions = Store.data.transactions.filter(t => t.id !== id);
-            Store.save();
+        const entry = Store.deleteTransaction(id);
+        if (entry) this.showUndo('Registro movido para a lixeira.', entry);
+    },
+
+    cancelInstallments(installmentId) {
+        const group = Store.getInstallmentGroup(installmentId);
+        if (!group) return;
+        if (!confirm(`Cancelar as ${group.remaining.length} parcela(s) em aberto (${Store.formatCurrency(group.outstanding)})? As já pagas permanecem. As canceladas ficam na Lixeira.`)) return;
+
+        Store.cancelInstallments(installmentId);
+        ui.openModal('installment', installmentId);
+    },
+
+    payoffInstallments(e, installmentId) {
+        e.preventDefault();
+        const group = Store.getInstallmentGroup(installmentId);
+        const discount = parseFloat(document.getElementById('inp-payoff-discount').value) || 0;
+        if (!group) return;
+        if (discount < 0 || discount > group.outstanding) {
+            alert('O desconto não pode ser maior que o saldo devedor.');
+            return;
+        }
+
+        const payoff = Store.payoffInstallments(installmentId, discount);
+        if (payoff) ui.showToast(`Quitado por ${Store.formatCurrency(payoff.amount)}${discount ? ` (desconto de ${Store.formatCurrency(discount)})` : ''}.`);
+        ui.openModal('installment', installmentId);
+    },
+
+    saveInstallmentAmount(e, installmentId) {
+        e.preventDefault();
+        const amount = parseFloat(document.getElementById('inp-installment-amount').value);
+        if (!amount) return;
+
+        Store.updateInstallmentAmount(installmentId, amount);
+        ui.openModal('installment', installmentId);
+    },
+
+    // Anexos escolhidos num formulário de criação, gravados por commitAttachments depois do lançamento
+    pendingAttachments: [], // [{ meta, blob }] (Attachments.prepare)
+
+    async addAttachmentFiles(e, transactionId = '') {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length === 0) return;
+        if (!DB.idb) {
+            alert('Anexos precisam do armazenamento do navegador (IndexedDB), indisponível aqui (ex: janela privada).');
+            return;
+        }
+
+        try {
+            // Uma foto por vez: várias imagens grandes decodificadas juntas pesam na memória do celular
+            const prepared = [];
+            for (const file of files) prepared.push(await Attachments.prepare(file));
+
+            if (transactionId) {
+                await Store.addAttachments(transactionId, prepared);
+                ui.openModal('edit_transaction', transactionId);
+            } else {
+                this.pendingAttachments.push(...prepared);
+                this.renderPendingAttachments();
+            }
+        } catch (err) {
+            console.error(err);
+            alert(err.message);
+        }
+    },
+
+    renderPendingAttachments() {
+        document.getElementById('attach-list').innerHTML = ui.attachmentItems(this.pendingAttachments.map(p => p.meta));
+        lucide.createIcons();
+    },
+
+    removePendingAttachment(index) {
+        this.pendingAttachments.splice(index, 1);
+        this.renderPendingAttachments();
+    },
+
+    commitAttachments(transactionId) {
+        const prepared = this.pendingAttachments;
+        this.pendingAttachments = [];
+        if (prepared.length > 0) {
+            Store.addAttachments(transactionId, prepared).catch(err => {
+                console.error(err);
+                alert(err.message);
+            });
+        }
+    },
+
+    removeAttachment(transactionId, attachmentId) {
+        if (!confirm('Remover este anexo? O arquivo será apagado do aparelho.')) return;
+        Store.removeAttachment(transactionId, attachmentId);
+        ui.openModal('edit_transaction', transactionId);
+    },
+
+    // A Receber: recebimento parcial (ou do saldo todo) na data informada
+    receivePayment(e, id) {
+        e.preventDefault();
+        const item = Store.getReceivables().find(r => r.t.id === id);
+        const amount = parseFloat(document.getElementById('inp-receive-amount').value);
+        const day = document.getElementById('inp-receive-date').value;
+        if (!item || !(amount > 0) || !day) return;
+        if (amount > item.remaining + 0.005) {
+            alert(`O valor passa do saldo a receber (${Store.formatCurrency(item.remaining)}).`);
+            return;
+        }
+
+        Store.addPayment(id, amount, new Date(day + 'T12:00:00').toISOString());
+        ui.showToast(amount >= item.remaining - 0.005 ? 'Recebido por inteiro.' : `Recebido ${Store.formatCurrency(amount)}. Falta ${Store.formatCurrency(item.remaining - amount)}.`);
+        ui.openModal('receivable', id);
+    },
+
+    deletePayment(id, paymentId) {
+        if (!confirm('Apagar este recebimento? O valor volta para o saldo a receber.')) return;
+        Store.deletePayment(id, paymentId);
+        ui.openModal('receivable', id);
+    },
+
+    showUndo(message, entry, afterRestore = null) {
+        ui.showToast(message, {
+            label: 'Desfazer',
+            run: () => {
+                Store.restoreFromTrash(entry.id);
+                if (afterRestore) afterRestore();
+            }
+        }, 6000);
+    },
+
+    restoreFromTrash(id) {
+        Store.restoreFromTrash(id);
+        ui.openModal('trash');
+    },
+
+    deleteFromTrash(id) {
+        if (confirm('Apagar definitivamente? Não será possível recuperar.')) {
+            Store.deleteFromTrash([id]);
+            ui.openModal('trash');
+        }
+    },
+
+    emptyTrash() {
+        if (confirm('Esvaziar a lixeira? Os itens serão apagados definitivamente.')) {
+            Store.deleteFromTrash(Store.data.trash.map(e => e.id));
+            ui.openModal('trash');
+        }
+    },
+
+    async toggleNotifications() {
+        if (Store.data.notifications.enabled) {
+            Store.setNotifications({ enabled: false });
+            ui.openModal('settings');
+            return;
+        }
+
+        if (!('Notification' in window) || !('serviceWorker' in navigator) || location.protocol === 'file:') {
+            alert('Este navegador não suporta notificações (ou o app foi aberto direto do arquivo, sem o service worker).');
+            return;
+        }
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert('Permissão negada. Libere as notificações deste site nas configurações do navegador.');
+            return;
+        }
+
+        Store.setNotifications({ enabled: true });
+        navigator.serviceWorker.ready.then(reg => pwa.registerAlertSync(reg));
+        pwa.syncAlerts();
+        ui.openModal('settings');
+    },
+
+    setNotificationDays(days) {
+        Store.setNotifications({ daysBefore: parseInt(days) });
+        ui.openModal('settings');
+    },
+
+    // Toque na notificação (ou nas ações "Marcar como paga" / "Definir valor") abre a conta na aba Casa
+    openDueAlert(action, data = {}) {
+        if (data.cardId) {
+            this.openInvoiceAlert(action, data);
+            return;
+        }
+
+        let t = data.id ? Store.data.transactions.find(item => item.id === data.id) : null;
+
+        if (!t && data.recurringId) {
+            // Recorrente de um mês ainda não gerado: gera e procura a ocorrência
+            const rule = Store.data.recurring.find(r => r.id === data.recurringId);
+            const date = new Date(data.occurrence + 'T12:00:00');
+            if (rule) {
+                Store.data.selectedMonth = date.toISOString();
+                Store.ensureRecurringForMonth(Store.data.selectedMonth);
+                t = Store.findOccurrence(rule, date, Store.data.transactions);
+            }
+        }
+
+        if (!t) {
+            router.navigate('home');
+            ui.showToast('Esta conta não existe mais (pode ter sido excluída).');
+            return;
+        }
+
+        Store.data.selectedMonth = new Date(t.date).toISOString();
+        Store.ensureRecurringForMonth(Store.data.selectedMonth);
+        router.navigate('home');
+
+        if (action === 'value' || (action === 'paid' && t.isReminder)) {
+            // Lembrete ainda sem valor: precisa do valor antes de pagar
+            ui.openModal('update_reminder', t.id);
+        } else if (action === 'paid' && !t.isPaid) {
+            this.togglePaid(t.id);
+            ui.showToast(`${t.category} marcada como paga.`);
+        }
+    },
+
+    // Fatura de cartão: "Marcar como paga" paga a fatura inteira; as outras ações abrem a fatura
+    openInvoiceAlert(action, data) {
+        const invoice = Store.getCardInvoice(data.cardId, data.invoice);
+        if (!invoice || invoice.items.length === 0) {
+            router.navigate('home');
+            ui.showToast('Esta fatura não existe mais (o cartão ou as compras podem ter sido excluídos).');
+            return;
+        }
+
+        Store.data.selectedMonth = new Date(invoice.due).toISOString();
+        router.navigate('home');
+
+        if (action === 'paid' && !invoice.isPaid) {
+            this.toggleInvoicePaid(data.cardId, data.invoice);
+            ui.showToast(`Fatura ${invoice.card.name} marcada como paga.`);
+        } else {
+            ui.openModal('card_invoice', data.cardId, data.invoice);
         }
     },
 
+    setTrashDays(value) {
+        Store.setTrashDays(parseInt(value) || 30);
+        ui.openModal('trash');
+    },
+
     createAccount(e, openModal = false) {
         e.preventDefault();
         const formData = new FormData(e.target);
@@ -833,6 +3686,8 @@ const Actions = {
         const cnpj = formData.get('cnpj');
         const description = formData.get('description');
         const initial = parseFloat(formData.get('initial') || 0);
+        const openingDate = formData.get('openingDate');
+        const openingRevenue = parseFloat(formData.get('openingRevenue') || 0);
 
         if (!name) return;
 
@@ -841,6 +3696,8 @@ const Actions = {
             cnpj: cnpj || '',
             description: description || '',
             initialBalance: initial,
+            openingDate: openingDate || '',
+            openingRevenue: openingRevenue ? { [new Date().getFullYear()]: openingRevenue } : {},
             type: 'mei'
         });
         if (openModal) {
@@ -848,17 +3705,112 @@ const Actions = {
         }
     },
 
+    // Abre as opções de exclusão (mover lançamentos ou arquivar), para não deixar lançamentos sem conta
     deleteAccount(id) {
-        if (confirm('Tem certeza? Isso apaga a conta. Transações antigas ficarão sem vínculo.')) {
-            Store.deleteAccount(id);
-            ui.openModal('accounts');
+        ui.openModal('account_delete', id);
+    },
+
+    confirmDeleteAccount(id) {
+        const target = document.getElementById('inp-reassign-account');
+        const usage = Store.getAccountUsage(id);
+
+        if (usage.transactions + usage.recurring > 0) {
+            if (!target || !target.value) return;
+            const name = Store.data.accounts.find(a => a.id === target.value).name;
+            if (!confirm(`Mover ${usage.transactions} lançamento(s) e ${usage.recurring} recorrente(s) para "${name}" e excluir a conta?`)) return;
+            Store.reassignAccount(id, target.value);
+        }
+
+        const entry = Store.deleteAccount(id);
+        ui.closeModal();
+        if (entry) this.showUndo('Conta movida para a lixeira.', entry);
+    },
+
+    archiveAccount(id, archived = true) {
+        Store.updateAccount(id, { archived });
+        ui.closeModal();
+        if (archived) ui.showToast('Conta arquivada. Ela continua na aba Contas, em "Arquivadas".');
+    },
+
+    saveAccount(e, id) {
+        e.preventDefault();
+        const form = e.target.elements;
+        const name = form.name.value.trim();
+        if (!name) return;
+
+        const updates = {
+            name,
+            cnpj: form.cnpj.value.trim(),
+            description: form.description.value.trim(),
+            initialBalance: parseFloat(form.initial.value) || 0
+        };
+        if (form.openingDate) updates.openingDate = form.openingDate.value;
+
+        Store.updateAccount(id, updates);
+        ui.closeModal();
+    },
+
+    // Lê os campos de ui.recurrenceFields(); null (com alerta) se inválidos
+    readRecurrenceFields() {
+        const frequency = document.getElementById('inp-rec-frequency').value;
+        const startDate = document.getElementById('inp-rec-start').value;
+        const endDate = document.getElementById('inp-rec-end').value;
+        const count = parseInt(document.getElementById('inp-rec-count').value) || null;
+
+        if (!startDate) {
+            alert('Informe a data do primeiro vencimento.');
+            return null;
+        }
+        if (endDate && endDate < startDate) {
+            alert('A data final deve ser depois do primeiro vencimento.');
+            return null;
+        }
+
+        return {
+            frequency,
+            interval: frequency === 'monthly' ? Math.max(1, parseInt(document.getElementById('inp-rec-interval').value) || 1) : 1,
+            day: parseInt(startDate.split('-')[2]),
+            startDate,
+            endDate,
+            count
+        };
+    },
+
+    setRecurrenceFrequency(value) {
+        document.getElementById('box-rec-interval').classList.toggle('hidden', value !== 'monthly');
+    },
+
+    toggleRecurring(id) {
+        const rule = Store.data.recurring.find(r => r.id === id);
+        if (!rule) return;
+        Store.setRecurringActive(id, !rule.active);
+        ui.openModal('recurring_list');
+    },
+
+    saveRecurring(e, id) {
+        e.preventDefault();
+        const rule = Store.data.recurring.find(r => r.id === id);
+        const recurrence = this.readRecurrenceFields();
+        if (!rule || !recurrence) return;
+
+        const updates = { title: document.getElementById('inp-rec-title').value.trim() || rule.title, ...recurrence };
+        const amountInput = document.getElementById('inp-rec-amount');
+        if (amountInput) {
+            const amount = parseFloat(amountInput.value);
+            if (!amount) return;
+            updates.amount = amount;
         }
+
+        const applyToFuture = document.getElementById('inp-rec-apply-future')?.checked || false;
+        Store.updateRecurring(id, updates, applyToFuture);
+        ui.openModal('recurring_list');
     },
 
     deleteRecurring(id) {
         if (confirm('Deseja cancelar esta conta recorrente? As próximas não serão geradas, mas as já lançadas permanecem.')) {
-            Store.deleteRecurring(id);
+            const entry = Store.deleteRecurring(id);
             ui.openModal('recurring_list');
+            if (entry) this.showUndo('Recorrente movida para a lixeira.', entry, () => ui.openModal('recurring_list'));
         }
     },
 
@@ -867,63 +3819,219 @@ const Actions = {
         const amount = parseFloat(document.getElementById('inp-amount').value);
         const desc = document.getElementById('inp-desc').value;
         const accountId = document.getElementById('inp-account').value;
+        const revenueType = document.getElementById('inp-revenue-type').value;
+        const hasInvoice = document.getElementById('inp-has-invoice').checked;
+        const isRecurring = document.getElementById('inp-income-recurring').checked;
+        const client = Store.data.clients.find(c => c.id === document.getElementById('inp-income-client').value);
+        const upfront = parseFloat(document.getElementById('inp-income-upfront').value) || 0;
+        const isPending = !document.getElementById('inp-income-received').checked && upfront < amount;
 
         if (!amount || !accountId) return;
 
-        // Check for MEI Limit Warning
         const account = Store.data.accounts.find(a => a.id === accountId);
-        if (account && account.type === 'mei') {
-            const monthlyStatus = Store.getAccountMonthlyStatus(accountId);
-
-            // Simular novo total mensal
-            const newMonthlyTotal = monthlyStatus.total + amount;
+        if (client && !hasInvoice && account && account.type === 'mei' && Store.getClientKind(client) === 'pj') {
+            if (!confirm(`${client.name} é uma empresa (CNPJ): o MEI é obrigado a emitir nota fiscal nesta venda.\n\nLançar sem nota fiscal mesmo assim?`)) return;
+        }
 
+        // Check for MEI Limit Warning (no ano/mês da data selecionada)
+        // Pelo critério de recebimentos, a venda a receber só pesa no limite com a entrada já recebida
+        const counted = isPending && Store.data.revenueBasis === 'received' ? upfront : amount;
+        const date = new Date(Store.data.selectedDate);
+        const annualStatus = account && account.type === 'mei' ? Store.getAccountLimitStatus(accountId, date.getFullYear()) : null;
+        if (annualStatus) {
+            const monthlyStatus = Store.getAccountMonthlyStatus(accountId, date.getFullYear(), date.getMonth());
+            const fmt = Store.formatCurrency;
+            const proportional = annualStatus.proportional ? ` (proporcional a ${annualStatus.months} meses)` : '';
+
+            // Impacto da venda na projeção do ano (só para o ano em andamento)
+            const isCurrentYear = date.getFullYear() === new Date().getFullYear();
+            const before = isCurrentYear ? Store.getMeiForecast(accountId) : null;
+            const after = isCurrentYear ? Store.getMeiForecast(accountId, counted, isRecurring ? date.getDate() : null) : null;
+            const crossLabel = f => f.crossSafe ? `passa do limite em ${f.crossSafe.toLocaleDateString('pt-BR')}` : 'não passa do limite';
+            const forecastNote = after
+                ? `\n\nProjeção até 31/12: ${fmt(before.projected)} → ${fmt(after.projected)} (${crossLabel(after)}).\nAinda cabe ${fmt(after.budget)}/mês até dezembro.`
+                : '';
+
+            // Simular novos totais
+            const newAnnualTotal = annualStatus.total + counted;
+            const newMonthlyTotal = monthlyStatus.total + counted;
+
+            // Annual Check: a calculadora de excesso abre depois (simulação se cancelar, situação real se confirmar)
+            const excess = newAnnualTotal > annualStatus.limitSafe
+                ? Store.getExcessScenario(accountId, date.getFullYear(), counted, date.getMonth())
+                : null;
+            const showExcess = confirmed => {
+                if (confirmed) return;
+                ui.openModal('excess', accountId, date.getFullYear(), counted, date.getMonth());
+            };
+
+            if (newAnnualTotal > annualStatus.limitMax) {
+                const ok = confirm(`CRÍTICO: Limite ANUAL MÁXIMO${proportional} de ${fmt(annualStatus.limitMax)} excedido!\n\nTotal projetado no ano: ${fmt(newAnnualTotal)}\n\nDesenquadramento retroativo a ${excess.effectiveDate.toLocaleDateString('pt-BR')}: impostos de ME sobre todo o faturamento do ano (~${fmt(excess.difference)} além do DAS já pago), com comunicação até ${excess.notifyBy.toLocaleDateString('pt-BR')}.${forecastNote}\n\nOK lança mesmo assim. Cancelar mostra o cálculo detalhado.`);
+                showExcess(ok);
+                if (!ok) return;
+            } else if (newAnnualTotal > annualStatus.limitSafe) {
+                const ok = confirm(`ATENÇÃO: Limite ANUAL${proportional} de ${fmt(annualStatus.limitSafe)} excedido!\n\nTotal projetado no ano: ${fmt(newAnnualTotal)}\n\nVocê está na faixa de tolerância (até ${fmt(annualStatus.limitMax)}): DAS complementar de ~${fmt(excess.complement)} sobre o excesso e desenquadramento a partir de ${excess.effectiveDate.toLocaleDateString('pt-BR')}.${forecastNote}\n\nOK lança mesmo assim. Cancelar mostra o cálculo detalhado.`);
+                showExcess(ok);
+                if (!ok) return;
             // Monthly Check
-            if (newMonthlyTotal > monthlyStatus.limitMax) {
-                if (!confirm(`CRÍTICO: Limite MENSAL MÁXIMO (R$ 8.100) excedido!\n\nTotal projetado: ${Store.formatCurrency(newMonthlyTotal)}\n\nIsso coloca seu MEI em risco imediato de desenquadramento.\nDeseja continuar mesmo assim?`)) return;
+            } else if (newMonthlyTotal > monthlyStatus.limitMax) {
+                if (!confirm(`CRÍTICO: Limite MENSAL MÁXIMO (${fmt(monthlyStatus.limitMax)}) excedido!\n\nTotal projetado: ${fmt(newMonthlyTotal)}\n\nIsso coloca seu MEI em risco imediato de desenquadramento.${forecastNote}\n\nDeseja continuar mesmo assim?`)) return;
             } else if (newMonthlyTotal > monthlyStatus.limitSafe) {
-                if (!confirm(`ATENÇÃO: Limite MENSAL PADRÃO (R$ 6.750) excedido!\n\nTotal projetado: ${Store.formatCurrency(newMonthlyTotal)}\n\nVocê está entrando na faixa de tolerância (até R$ 8.100).\nRecomendado usar outra conta.\nDeseja continuar?`)) return;
+                if (!confirm(`ATENÇÃO: Limite MENSAL PADRÃO (${fmt(monthlyStatus.limitSafe)}) excedido!\n\nTotal projetado: ${fmt(newMonthlyTotal)}\n\nVocê está entrando na faixa de tolerância (até ${fmt(monthlyStatus.limitMax)}).\nRecomendado usar outra conta.${forecastNote}\n\nDeseja continuar?`)) return;
             } else if ((newMonthlyTotal / monthlyStatus.limitSafe) >= 0.9) {
-                if (!confirm(`CUIDADO: Você vai atingir ${((newMonthlyTotal / monthlyStatus.limitSafe) * 100).toFixed(1)}% do limite mensal seguro.\n\nTotal projetado: ${Store.formatCurrency(newMonthlyTotal)}\n\nDeseja continuar?`)) return;
+                if (!confirm(`CUIDADO: Você vai atingir ${((newMonthlyTotal / monthlyStatus.limitSafe) * 100).toFixed(1)}% do limite mensal seguro.\n\nTotal projetado: ${Store.formatCurrency(newMonthlyTotal)}${forecastNote}\n\nDeseja continuar?`)) return;
+            } else if (after && after.crossSafe && (!before.crossSafe || after.crossSafe < before.crossSafe)) {
+                // Dentro dos limites hoje, mas a venda antecipa o estouro previsto
+                if (!confirm(`PREVISÃO: Com esta ${isRecurring ? 'entrada mensal' : 'venda'}, no ritmo atual o limite anual de ${fmt(after.limitSafe)} seria ultrapassado em ${after.crossSafe.toLocaleDateString('pt-BR')}${before.crossSafe ? ` (antes: ${before.crossSafe.toLocaleDateString('pt-BR')})` : ''}.${forecastNote}\n\nDeseja continuar?`)) return;
             }
         }
 
+        // Entrada fixa: cria a regra já vinculada a este lançamento para não duplicar no mês
+        const recurringId = isRecurring ? crypto.randomUUID() : undefined;
+
         Store.addTransaction({
             type: 'income',
             amount,
-            description: desc || 'Venda',
+            description: desc || (client ? client.name : 'Venda'),
             date: Store.data.selectedDate,
             isHomeExpense: false,
-            accountId: accountId
+            accountId: accountId,
+            revenueType,
+            hasInvoice,
+            clientId: client ? client.id : undefined,
+            recurringId,
+            ...(isPending ? {
+                isPending,
+                expectedDate: document.getElementById('inp-income-expected').value || undefined,
+                payments: upfront > 0 ? [{ id: crypto.randomUUID(), date: Store.data.selectedDate, amount: upfront }] : []
+            } : {})
         });
+        if (isRecurring) {
+            Store.addRecurring({
+                id: recurringId,
+                title: desc || (client ? client.name : 'Venda'),
+                amount,
+                day: date.getDate(),
+                frequency: 'monthly',
+                interval: 1,
+                startDate: Store.dateKey(date),
+                endDate: '',
+                count: null,
+                type: 'income',
+                accountId,
+                revenueType,
+                hasInvoice,
+                clientId: client ? client.id : undefined
+            });
+        }
+
+        // Lançou acima do limite anual: mostra as consequências já com a venda
+        const after = annualStatus ? Store.getAccountLimitStatus(accountId, date.getFullYear()) : null;
+        if (after && after.status !== 'safe') {
+            ui.openModal('excess', accountId, date.getFullYear());
+            return;
+        }
         ui.closeModal();
     },
 
-    submitExpense(e) {
+    // Cliente empresa: marca a nota fiscal e mostra o aviso
+    setIncomeClient(clientId) {
+        const isCompany = Store.getClientKind(Store.data.clients.find(c => c.id === clientId)) === 'pj';
+        document.getElementById('txt-client-invoice').classList.toggle('hidden', !isCompany);
+        if (isCompany) document.getElementById('inp-has-invoice').checked = true;
+    },
+
+    readClientFields(scope) {
+        const field = name => scope.querySelector(`[data-client="${name}"]`).value.trim();
+        return { name: field('name'), document: Store.formatDocument(field('document')), phone: field('phone') };
+    },
+
+    quickAddClient() {
+        const box = document.getElementById('box-quick-client');
+        const data = this.readClientFields(box);
+        if (!data.name) return alert('Informe o nome do cliente.');
+
+        const client = Store.addClient(data);
+        const select = document.getElementById('inp-income-client');
+        select.innerHTML = ui.clientOptions(client.id);
+        box.classList.add('hidden');
+        box.querySelectorAll('input').forEach(input => { input.value = ''; });
+        this.setIncomeClient(client.id);
+    },
+
+    saveClient(e, id = null) {
         e.preventDefault();
-        const amount = parseFloat(document.getElementById('inp-exp-amount').value);
-        let category = document.getElementById('inp-category').value;
-        const accountId = document.getElementById('inp-exp-account').value;
-        const newCat = document.getElementById('inp-new-cat')?.value;
+        const data = this.readClientFields(e.target);
+        if (!data.name) return;
 
-        if (newCat) {
-            Store.addCustomCategory(newCat);
-            category = newCat;
+        if (id) {
+            Store.updateClient(id, data);
+            ui.openModal('client', id);
+        } else {
+            Store.addClient(data);
+            ui.openModal('clients');
         }
+    },
 
-        if (!amount || !accountId) return;
+    deleteClient(id) {
+        const client = Store.data.clients.find(c => c.id === id);
+        if (!client || !confirm(`Excluir o cliente ${client.name}? As entradas continuam lançadas, só sem o cliente.`)) return;
 
-        Store.addTransaction({
-            type: 'expense',
-            amount,
-            category: category || 'Outros',
+        const entry = Store.deleteClient(id);
+        ui.openModal('clients');
+        if (entry) this.showUndo('Cliente movido para a lixeira.', entry, () => ui.openModal('clients'));
+    },
+
+    submitTransfer(e) {
+        e.preventDefault();
+        const amount = parseFloat(document.getElementById('inp-transfer-amount').value);
+        const from = document.getElementById('inp-transfer-from').value;
+        const to = document.getElementById('inp-transfer-to').value;
+        const desc = document.getElementById('inp-transfer-desc').value;
+
+        if (!amount || !from || !to) return;
+        if (from === to) return alert('Escolha contas de origem e destino diferentes.');
+
+        // Não conta como faturamento nem como despesa: só move saldo entre as contas
+        Store.addTransaction({
+            type: 'transfer',
+            amount,
+            description: desc || '',
             date: Store.data.selectedDate,
             isHomeExpense: false,
-            accountId: accountId
+            accountId: from,
+            toAccountId: to
         });
         ui.closeModal();
     },
 
+    submitExpense(e) {
+        e.preventDefault();
+        const amount = parseFloat(document.getElementById('inp-exp-amount').value);
+        let category = document.getElementById('inp-category').value;
+        const accountId = document.getElementById('inp-exp-account').value;
+        const newCat = document.getElementById('inp-new-cat')?.value;
+
+        if (newCat) {
+            Store.addCustomCategory(newCat);
+            category = newCat;
+        }
+
+        if (!amount || !accountId) return;
+
+        const t = {
+            type: 'expense',
+            amount,
+            category: category || 'Outros',
+            date: Store.data.selectedDate,
+            isHomeExpense: false,
+            accountId: accountId
+        };
+        Store.addTransaction(t);
+        this.commitAttachments(t.id);
+        ui.closeModal();
+    },
+
     // UI Helpers for Home Expense Modal
     setHomeExpTab(tab) {
         ['single', 'install', 'recur', 'reminder'].forEach(t => {
@@ -938,6 +4046,9 @@ const Actions = {
             }
         });
         document.getElementById('inp-home-type').value = tab;
+        document.getElementById('box-recurrence').classList.toggle('hidden', tab !== 'recur' && tab !== 'reminder');
+        document.getElementById('box-card')?.classList.toggle('hidden', tab !== 'single' && tab !== 'install');
+        document.getElementById('box-attachments').classList.toggle('hidden', tab !== 'single' && tab !== 'install'); // Regras não têm lançamento ainda
 
         // Handle Amount Visibility and Recur Logic
         const amountBox = document.getElementById('box-common');
@@ -954,7 +4065,8 @@ const Actions = {
             amountInput.required = true;
         } else {
             amountBox.classList.remove('hidden');
-            paidBox.classList.remove('hidden');
+            // Compra no cartão só é paga com a fatura
+            paidBox.classList.toggle('hidden', !!document.getElementById('inp-home-card')?.value);
             amountInput.required = true;
         }
     },
@@ -981,36 +4093,31 @@ const Actions = {
         const amount = parseFloat(document.getElementById('inp-home-amount').value);
         const category = document.getElementById('inp-home-cat').value;
         const isPaid = document.getElementById('inp-is-paid')?.checked || false;
+        const card = Store.data.cards.find(c => c.id === document.getElementById('inp-home-card')?.value);
 
         if (type !== 'reminder' && !amount) return;
 
-        if (type === 'recur') {
-            const day = parseInt(document.getElementById('inp-recur-day').value) || 10;
-            Store.addRecurring({
-                title: category,
-                category: category,
-                amount: amount,
-                day: day,
-                type: 'fixed'
-            });
-        } else if (type === 'reminder') {
-            const day = parseInt(document.getElementById('inp-remind-day').value) || 10;
+        if (card && (type === 'single' || type === 'install')) {
+            this.submitCardPurchase(card, type === 'install');
+            return;
+        }
+
+        if (type === 'recur' || type === 'reminder') {
+            const recurrence = this.readRecurrenceFields();
+            if (!recurrence) return;
             Store.addRecurring({
                 title: category,
                 category: category,
-                amount: 0,
-                day: day,
-                type: 'reminder'
+                amount: type === 'reminder' ? 0 : amount,
+                type: type === 'reminder' ? 'reminder' : 'fixed',
+                ...recurrence
             });
         } else if (type === 'install') {
             const qty = parseInt(document.getElementById('inp-install-qty').value) || 2;
             const mode = document.getElementById('inp-install-mode').value; // total, parcel
 
-            let parcelValue = amount;
-
-            if (mode === 'total') {
-                parcelValue = amount / qty;
-            }
+            // Valor total: divide em centavos para as parcelas somarem exatamente o total
+            const values = mode === 'total' ? Store.splitAmount(amount, qty) : Array(qty).fill(amount);
 
             const baseDate = new Date(Store.data.selectedMonth);
             const startMonth = baseDate.getMonth();
@@ -1019,49 +4126,194 @@ const Actions = {
 
             const groupId = crypto.randomUUID();
 
-            for (let i = 0; i < qty; i++) {
+            const parcels = values.map((value, i) => {
                 // Calculate date for i-th month
                 // Handle year rollover logic automatically by Date ctor
                 const date = new Date(startYear, startMonth + i, day, 12, 0, 0);
 
-                Store.addTransaction({
+                return {
                     type: 'expense',
-                    amount: parcelValue,
+                    amount: value,
                     category: `${category} (${i + 1}/${qty})`,
                     date: date.toISOString(),
                     isHomeExpense: true,
                     isPaid: i === 0 ? isPaid : false, // Only first one follows the check, others default false
                     installmentId: groupId
-                });
-            }
+                };
+            });
+            Store.addTransactions(parcels);
+            this.commitAttachments(parcels[0].id); // Comprovante da compra fica na 1ª parcela
 
         } else {
-            Store.addTransaction({
+            const t = {
                 type: 'expense',
                 amount,
                 category,
                 date: Store.data.selectedMonth,
                 isHomeExpense: true,
                 isPaid: isPaid
-            });
+            };
+            Store.addTransaction(t);
+            this.commitAttachments(t.id);
+        }
+        ui.closeModal();
+    },
+
+    // Compra no cartão: data da compra define a fatura; parcelas vão para as faturas seguintes
+    submitCardPurchase(card, isInstallment) {
+        const amount = parseFloat(document.getElementById('inp-home-amount').value);
+        const category = document.getElementById('inp-home-cat').value;
+        const dateStr = document.getElementById('inp-card-date').value || Store.dateKey(new Date());
+        const date = new Date(dateStr + 'T12:00:00');
+        const invoice = Store.getInvoiceKey(card, date);
+
+        if (!isInstallment) {
+            const t = {
+                type: 'expense',
+                amount,
+                category,
+                date: date.toISOString(),
+                isHomeExpense: true,
+                isPaid: false,
+                cardId: card.id,
+                invoice
+            };
+            Store.addTransaction(t);
+            this.commitAttachments(t.id);
+        } else {
+            const qty = parseInt(document.getElementById('inp-install-qty').value) || 2;
+            const mode = document.getElementById('inp-install-mode').value;
+            const values = mode === 'total' ? Store.splitAmount(amount, qty) : Array(qty).fill(amount);
+            const installmentId = crypto.randomUUID();
+
+            const parcels = values.map((value, i) => ({
+                type: 'expense',
+                amount: value,
+                category: `${category} (${i + 1}/${qty})`,
+                date: new Date(date.getFullYear(), date.getMonth() + i, Math.min(date.getDate(), new Date(date.getFullYear(), date.getMonth() + i + 1, 0).getDate()), 12).toISOString(),
+                isHomeExpense: true,
+                isPaid: false,
+                cardId: card.id,
+                invoice: Store.shiftInvoiceKey(invoice, i),
+                installmentId
+            }));
+            Store.addTransactions(parcels);
+            this.commitAttachments(parcels[0].id);
         }
+
+        const available = Store.getCardAvailable(card.id);
+        if (available < 0) alert(`Atenção: esta compra passa do limite do cartão ${card.name} em ${Store.formatCurrency(-available)}.`);
         ui.closeModal();
     },
 
+    setHomeCard(cardId) {
+        document.getElementById('box-card-date').classList.toggle('hidden', !cardId);
+        document.getElementById('box-paid-check').classList.toggle('hidden', !!cardId);
+    },
+
+    toggleInvoicePaid(cardId, key) {
+        const invoice = Store.getCardInvoice(cardId, key);
+        if (invoice) Store.setInvoicePaid(cardId, key, !invoice.isPaid);
+    },
+
+    saveCard(e, id = null) {
+        e.preventDefault();
+        const form = e.target.elements;
+        const name = form.name.value.trim();
+        const closingDay = parseInt(form.closingDay.value);
+        const dueDay = parseInt(form.dueDay.value);
+        if (!name || !(closingDay >= 1 && closingDay <= 31) || !(dueDay >= 1 && dueDay <= 31)) {
+            alert('Informe o nome e os dias de fechamento e vencimento (1 a 31).');
+            return;
+        }
+
+        const card = { name, closingDay, dueDay, limit: parseFloat(form.limit.value) || 0 };
+        if (id) {
+            Store.updateCard(id, card);
+            ui.openModal('card', id);
+        } else {
+            Store.addCard(card);
+            ui.openModal('cards');
+        }
+    },
+
+    deleteCard(id) {
+        const card = Store.data.cards.find(c => c.id === id);
+        if (!card) return;
+        if (!confirm(`Excluir o cartão ${card.name}? As compras já lançadas continuam como contas avulsas na aba Casa.`)) return;
+
+        const entry = Store.deleteCard(id);
+        ui.openModal('cards');
+        if (entry) this.showUndo('Cartão movido para a lixeira.', entry, () => ui.openModal('cards'));
+    },
+
     // Data Actions
-    downloadBackup() {
-        const data = Store.getBackupData();
-        const blob = new Blob([data], { type: 'application/json' });
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `safe-insert-backup-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     },
 
+    async downloadBackup(e) {
+        e.preventDefault();
+        const passphrase = document.getElementById('inp-backup-pass').value;
+        const confirmation = document.getElementById('inp-backup-pass-confirm').value;
+        const baseName = `safe-insert-backup-${new Date().toISOString().split('T')[0]}`;
+
+        if (passphrase && passphrase !== confirmation) {
+            alert('As senhas não conferem.');
+            return;
+        }
+
+        if (document.getElementById('inp-backup-full').checked) {
+            try {
+                await this.downloadFullBackup(baseName, passphrase);
+                ui.closeModal();
+            } catch (err) {
+                console.error(err);
+                alert(err.message);
+            }
+            return;
+        }
+
+        if (!passphrase) {
+            this.downloadFile(Store.getBackupData(), `${baseName}.json`, 'application/json');
+            ui.closeModal();
+            return;
+        }
+
+        try {
+            const encrypted = await BackupCrypto.encrypt(Store.getBackupData(), passphrase);
+            this.downloadFile(encrypted, baseName + BackupCrypto.extension, 'application/octet-stream');
+            ui.closeModal();
+        } catch (err) {
+            console.error(err);
+            alert(err.message);
+        }
+    },
+
+    // .zip com o backup.json e os anexos em anexos/<id>.<ext>; com senha, o .zip inteiro vai criptografado (.sinsert)
+    async downloadFullBackup(baseName, passphrase) {
+        const encoder = new TextEncoder();
+        const files = [{ name: 'backup.json', data: encoder.encode(Store.getBackupData()) }];
+        for (const record of await DB.getAllFiles()) {
+            files.push({ name: Attachments.archiveName(record), data: new Uint8Array(await record.blob.arrayBuffer()) });
+        }
+        const archive = Zip.create(files);
+        if (!passphrase) {
+            this.downloadFile(archive, `${baseName}-completo.zip`, 'application/zip');
+            return;
+        }
+        const encrypted = await BackupCrypto.encrypt(new Uint8Array(await archive.arrayBuffer()), passphrase, 'zip');
+        this.downloadFile(encrypted, `${baseName}-completo${BackupCrypto.extension}`, 'application/octet-stream');
+    },
+
     triggerUpload() {
         document.getElementById('file-upload').click();
     },
@@ -1070,14 +4322,34 @@ const Actions = {
         const file = e.target.files[0];
         if (!file) return;
 
+        if (/\.zip$/i.test(file.name)) {
+            file.arrayBuffer().then(buffer => {
+                try {
+                    this.readFullBackup(buffer);
+                    ui.openModal('import_preview');
+                } catch (err) {
+                    alert(err.message);
+                }
+            }).catch(err => {
+                console.error(err);
+                alert('Erro ao ler arquivo de backup. Verifique se é um arquivo válido.');
+            });
+            e.target.value = '';
+            return;
+        }
+
         const reader = new FileReader();
         reader.onload = (e) => {
-            const success = Store.loadBackupData(e.target.result);
-            if (success) {
-                alert('Backup restaurado com sucesso!');
-                router.renderResults();
-            } else {
-                alert('Erro ao ler arquivo de backup. Verifique se é um arquivo válido.');
+            if (BackupCrypto.isEncrypted(e.target.result)) {
+                this.encryptedBackup = e.target.result;
+                ui.openModal('backup_password');
+                return;
+            }
+            try {
+                this.importData = Store.parseBackupData(e.target.result);
+                ui.openModal('import_preview');
+            } catch (err) {
+                alert(err.message);
             }
         };
         reader.readAsText(file);
@@ -1085,12 +4357,168 @@ const Actions = {
         e.target.value = '';
     },
 
+    // Statement Import (wizard)
+    statementImport: null, // { fileName, accountId, category, entries: [{ ...entry, duplicate, selected }] }
+
+    triggerStatementUpload() {
+        document.getElementById('statement-upload').click();
+    },
+
+    processStatement(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        file.arrayBuffer().then(buffer => {
+            try {
+                const entries = Statement.parse(Statement.decode(buffer), file.name);
+                const active = Store.getActiveAccounts();
+                const defaultAccount = active.find(a => a.type === 'mei') || active[0];
+                this.statementImport = {
+                    fileName: file.name,
+                    accountId: defaultAccount ? defaultAccount.id : '',
+                    category: 'Outros',
+                    entries
+                };
+                this.flagStatementDuplicates();
+                ui.openModal('statement_import');
+            } catch (err) {
+                console.error(err);
+                alert(err.message);
+            }
+        });
+        // Reset input
+        e.target.value = '';
+    },
+
+    flagStatementDuplicates() {
+        const { entries, accountId } = this.statementImport;
+        entries.forEach(entry => {
+            entry.duplicate = !!Store.findDuplicate(entry, accountId);
+            entry.selected = !entry.duplicate;
+        });
+    },
+
+    setStatementAccount(accountId) {
+        this.statementImport.accountId = accountId;
+        this.flagStatementDuplicates();
+        ui.openModal('statement_import');
+    },
+
+    setStatementCategory(category) {
+        this.statementImport.category = category;
+    },
+
+    toggleStatementEntry(index, checked) {
+        this.statementImport.entries[index].selected = checked;
+        const count = this.statementImport.entries.filter(entry => entry.selected).length;
+        document.getElementById('statement-count').innerText = count;
+    },
+
+    commitStatementImport() {
+        const { accountId, category, entries } = this.statementImport;
+        const selected = entries.filter(entry => entry.selected);
+        if (!accountId || selected.length === 0) return;
+
+        Store.addTransactions(selected.map(entry => ({
+            type: entry.type,
+            amount: entry.amount,
+            description: entry.description || (entry.type === 'income' ? 'Venda' : ''),
+            category: entry.type === 'expense' ? category : undefined,
+            date: entry.date,
+            isHomeExpense: false,
+            accountId,
+            importId: entry.fitId || undefined
+        })));
+
+        this.statementImport = null;
+        ui.closeModal();
+        alert(`${selected.length} lançamentos importados com sucesso!`);
+    },
+
+    // Backup lido aguardando confirmação na tela de prévia
+    importData: null,
+    importFiles: null, // Anexos do backup completo (registros de DB.files)
+    encryptedBackup: null, // Conteúdo .sinsert aguardando a senha
+
+    // Backup completo (.zip, já descriptografado se veio como .sinsert) para a prévia
+    readFullBackup(buffer) {
+        const files = Zip.read(buffer);
+        const json = files.find(f => f.name === 'backup.json');
+        if (!json) throw new Error('Este .zip não é um backup completo do Safe-Insert.');
+        this.importData = Store.parseBackupData(new TextDecoder().decode(json.data));
+        this.importFiles = Attachments.fromArchive(files);
+    },
+
+    async unlockBackup(e) {
+        e.preventDefault();
+        const passphrase = document.getElementById('inp-unlock-pass').value;
+        const errorBox = document.getElementById('unlock-error');
+
+        try {
+            if (BackupCrypto.contentOf(this.encryptedBackup) === 'zip') {
+                this.readFullBackup(await BackupCrypto.decryptBuffer(this.encryptedBackup, passphrase));
+            } else {
+                this.importData = Store.parseBackupData(await BackupCrypto.decrypt(this.encryptedBackup, passphrase));
+            }
+            this.encryptedBackup = null;
+            ui.openModal('import_preview');
+        } catch (err) {
+            console.error(err);
+            errorBox.textContent = err.message;
+            errorBox.classList.remove('hidden');
+        }
+    },
+
+    async confirmImport(mode) {
+        const data = this.importData;
+        if (!data) return;
+        let files = this.importFiles || [];
+
+        if (mode === 'replace') {
+            if (!confirm('Substituir TODOS os dados deste aparelho pelo backup? Registros que só existem aqui serão perdidos.')) return;
+            Store.loadBackupData(data);
+            alert('Backup restaurado com sucesso!');
+        } else {
+            const plan = Store.mergeBackupData(data);
+            const added = DB.collections.reduce((acc, name) => acc + plan[name].added.length, 0);
+            const updated = DB.collections.reduce((acc, name) => acc + plan[name].updated.length, 0);
+            alert(`Backup mesclado com sucesso!\n\n${added} adicionados, ${updated} atualizados.`);
+
+            // Só os anexos dos lançamentos que entraram; os dos ignorados ficariam órfãos até a próxima limpeza
+            const used = new Set();
+            const collect = t => (t.attachments || []).forEach(a => used.add(a.id));
+            [...plan.transactions.added, ...plan.transactions.updated].forEach(collect);
+            [...plan.trash.added, ...plan.trash.updated].filter(e => e.store === 'transactions').forEach(e => collect(e.record));
+            files = files.filter(f => used.has(f.id));
+        }
+
+        if (files.length > 0) {
+            try {
+                await DB.putFiles(files);
+            } catch (err) {
+                console.error(err);
+                alert(err.message);
+            }
+        }
+
+        this.importData = null;
+        this.importFiles = null;
+        ui.closeModal();
+        router.renderResults();
+    },
+
+    cancelImport() {
+        this.importData = null;
+        this.importFiles = null;
+        ui.openModal('settings');
+    },
+
     askReset() {
         ui.openModal('reset_confirm');
     },
 
-    confirmReset() {
-        Store.clearAllData();
+    async confirmReset() {
+        await Store.clearAllData();
         ui.closeModal();
         alert('Dados apagados e resetados para o padrão.');
         router.renderResults();
@@ -1134,7 +4562,9 @@ const ui = {
         overlay.classList.remove('hidden');
 
         if (type === 'income') {
-            const accounts = Store.data.accounts.map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+            const accounts = Store.getActiveAccounts().map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+            const revenueTypes = Object.entries(Store.revenueTypes)
+                .map(([key, label]) => `<option value="${key}" ${key === 'services' ? 'selected' : ''}>${label}</option>`).join('');
             content.innerHTML = `
                 <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
                     <h3 class="font-bold">Nova Entrada</h3>
@@ -1152,21 +4582,322 @@ const ui = {
                         </select>
                     </div>
                     <div>
-                        <label class="text-sm font-medium">Descrição / Cliente</label>
-                        <input id="inp-desc" type="text" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1" placeholder="Ex: Cliente Silva">
+                        <label class="text-sm font-medium">Cliente</label>
+                        <div class="flex gap-2 mt-1">
+                            <select id="inp-income-client" onchange="Actions.setIncomeClient(this.value)" class="flex-1 min-w-0 bg-white p-3 rounded-xl border border-gray-200">
+                                ${ui.clientOptions()}
+                            </select>
+                            <button type="button" onclick="document.getElementById('box-quick-client').classList.toggle('hidden')" class="bg-gray-100 text-gray-600 px-3 rounded-xl active:scale-95 transition-transform"><i data-lucide="user-plus" class="w-5 h-5"></i></button>
+                        </div>
+                        <div id="box-quick-client" class="hidden mt-2 p-3 bg-gray-50 rounded-xl border border-gray-100 space-y-2">
+                            ${ui.clientFields({})}
+                            <button type="button" onclick="Actions.quickAddClient()" class="w-full bg-gray-800 text-white p-2 rounded-lg text-sm font-bold active:scale-95 transition-transform">Adicionar Cliente</button>
+                        </div>
+                        <p id="txt-client-invoice" class="hidden text-xs text-red-600 mt-2">Cliente empresa (CNPJ): o MEI é obrigado a emitir nota fiscal nesta venda.</p>
+                    </div>
+                    <div>
+                        <label class="text-sm font-medium">Descrição</label>
+                        <input id="inp-desc" type="text" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1" placeholder="Ex: Corte de cabelo">
+                    </div>
+                    <div>
+                        <label class="text-sm font-medium">Natureza da Receita</label>
+                        <select id="inp-revenue-type" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1">
+                            ${revenueTypes}
+                        </select>
+                    </div>
+                    <div class="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200">
+                        <span class="font-medium text-gray-700 text-sm">Nota Fiscal emitida</span>
+                        <input id="inp-has-invoice" type="checkbox" class="w-6 h-6 rounded accent-green-500 cursor-pointer">
+                    </div>
+                    <div class="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200">
+                        <span class="font-medium text-gray-700 text-sm">Repetir todo mês (contrato fixo)</span>
+                        <input id="inp-income-recurring" type="checkbox" class="w-6 h-6 rounded accent-green-500 cursor-pointer">
+                    </div>
+                    <div class="p-4 bg-white rounded-xl border border-gray-200">
+                        <label class="flex items-center justify-between">
+                            <span class="font-medium text-gray-700 text-sm">Recebido agora</span>
+                            <input id="inp-income-received" type="checkbox" checked onchange="document.getElementById('box-income-pending').classList.toggle('hidden', this.checked)" class="w-6 h-6 rounded accent-green-500 cursor-pointer">
+                        </label>
+                        <div id="box-income-pending" class="hidden">
+                            <div class="grid grid-cols-2 gap-3 mt-3">
+                                <div>
+                                    <label class="text-xs font-medium text-gray-500">Previsão de recebimento</label>
+                                    <input id="inp-income-expected" type="date" class="w-full bg-white p-2 rounded-lg border border-gray-200 text-sm mt-1">
+                                </div>
+                                <div>
+                                    <label class="text-xs font-medium text-gray-500">Entrada (já recebida)</label>
+                                    <input id="inp-income-upfront" type="number" step="0.01" inputmode="decimal" placeholder="R$ 0,00" class="w-full bg-white p-2 rounded-lg border border-gray-200 text-sm mt-1">
+                                </div>
+                            </div>
+                            <p class="text-xs text-gray-400 mt-2">Fica na lista <em>A Receber</em> do Trabalho até ser recebida por inteiro.</p>
+                        </div>
                     </div>
                     <button type="submit" class="w-full bg-green-500 text-white p-4 rounded-xl font-bold text-lg mt-4 shadow-lg shadow-green-200">Confirmar</button>
                 </form>
             `;
+        } else if (type === 'account_edit') {
+            const a = Store.data.accounts.find(item => item.id === arguments[1]);
+            if (!a) return;
+            const inputClass = 'w-full bg-white p-3 rounded-xl border border-gray-200 mt-1';
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Editar Conta</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveAccount(event, '${a.id}')" class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div>
+                        <label class="text-sm font-medium">Nome da Conta</label>
+                        <input name="name" type="text" value="${a.name}" class="${inputClass} font-semibold" required>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="text-sm font-medium">CNPJ</label>
+                            <input name="cnpj" type="text" value="${a.cnpj || ''}" class="${inputClass}" placeholder="00.000.000/0001-00">
+                        </div>
+                        <div>
+                            <label class="text-sm font-medium">Saldo Inicial</label>
+                            <input name="initial" type="number" step="0.01" value="${a.initialBalance || 0}" class="${inputClass}">
+                        </div>
+                    </div>
+                    ${a.type === 'mei' ? `
+                    <div>
+                        <label class="text-sm font-medium">Abertura do MEI</label>
+                        <input name="openingDate" type="date" value="${a.openingDate || ''}" class="${inputClass}">
+                    </div>` : ''}
+                    <div>
+                        <label class="text-sm font-medium">Descrição</label>
+                        <textarea name="description" rows="2" class="${inputClass}">${a.description || ''}</textarea>
+                    </div>
+                    ${a.type === 'mei' ? `<p class="text-xs text-gray-400">O faturamento anterior ao app fica em <em>Histórico por ano</em>, no cartão da conta.</p>` : ''}
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+                </form>
+            `;
+        } else if (type === 'account_delete') {
+            const a = Store.data.accounts.find(item => item.id === arguments[1]);
+            if (!a) return;
+            const usage = Store.getAccountUsage(a.id);
+            const inUse = usage.transactions + usage.recurring > 0;
+            const targets = Store.getActiveAccounts().filter(item => item.id !== a.id)
+                .map(item => `<option value="${item.id}">${item.name}</option>`).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Excluir "${a.name}"</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-6 bg-gray-50/50 space-y-4">
+                    ${inUse ? `
+                    <p class="text-sm text-gray-600">Esta conta tem <strong>${usage.transactions} lançamento(s)</strong>${usage.recurring ? ` e <strong>${usage.recurring} recorrente(s)</strong>` : ''}. Escolha o que fazer com eles:</p>
+
+                    <div class="bg-white p-4 rounded-xl border border-gray-200">
+                        <p class="font-bold text-gray-800 mb-1 flex items-center gap-2"><i data-lucide="archive" class="w-4 h-4 text-blue-500"></i> Arquivar</p>
+                        <p class="text-xs text-gray-500 mb-3">Some dos formulários de entrada e despesa, mas mantém o histórico, o saldo e os relatórios. Pode ser reativada depois.</p>
+                        ${a.archived
+                        ? '<p class="text-xs font-bold text-gray-400">Esta conta já está arquivada.</p>'
+                        : `<button onclick="Actions.archiveAccount('${a.id}')" class="w-full bg-blue-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Arquivar Conta</button>`}
+                    </div>
+
+                    <div class="bg-white p-4 rounded-xl border border-red-100">
+                        <p class="font-bold text-gray-800 mb-1 flex items-center gap-2"><i data-lucide="arrow-right-left" class="w-4 h-4 text-red-500"></i> Mover e excluir</p>
+                        <p class="text-xs text-gray-500 mb-3">Os lançamentos passam para outra conta (contando no saldo e nos limites dela) e esta conta vai para a lixeira.</p>
+                        ${targets ? `
+                        <select id="inp-reassign-account" class="w-full bg-white p-3 rounded-xl border border-gray-200 mb-3">${targets}</select>
+                        <button onclick="Actions.confirmDeleteAccount('${a.id}')" class="w-full bg-red-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Mover e Excluir</button>`
+                        : '<p class="text-xs font-bold text-gray-400">Não há outra conta ativa para receber os lançamentos.</p>'}
+                    </div>
+                    ` : `
+                    <p class="text-sm text-gray-600">Esta conta não tem lançamentos. Ela vai para a lixeira e pode ser restaurada por lá.</p>
+                    <button onclick="Actions.confirmDeleteAccount('${a.id}')" class="w-full bg-red-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-red-200 active:scale-95 transition-transform">Excluir Conta</button>
+                    `}
+                    <button onclick="ui.closeModal()" class="w-full bg-white border border-gray-200 text-gray-700 p-4 rounded-xl font-bold active:scale-95 transition-transform">Cancelar</button>
+                </div>
+            `;
+        } else if (type === 'trash') {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const describe = e => {
+                const r = e.record;
+                if (e.store === 'accounts') return { icon: 'building-2', title: r.name, detail: 'Conta' };
+                if (e.store === 'recurring') return { icon: 'calendar-clock', title: r.title, detail: `Recorrente • ${Store.formatCurrency(r.amount)}` };
+                if (e.store === 'cards') return { icon: 'credit-card', title: r.name, detail: 'Cartão de crédito' };
+                if (e.store === 'clients') return { icon: 'user', title: r.name, detail: 'Cliente' };
+                return {
+                    icon: r.type === 'income' ? 'arrow-down-left' : (r.type === 'transfer' ? 'arrow-right-left' : 'arrow-up-right'),
+                    title: r.description || r.category || 'Lançamento',
+                    detail: `${new Date(r.date).toLocaleDateString('pt-BR')} • ${Store.formatCurrency(r.amount)}`
+                };
+            };
+
+            const list = Store.data.trash.length === 0
+                ? '<p class="text-center text-gray-400 py-8 italic">A lixeira está vazia.</p>'
+                : [...Store.data.trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)).map(e => {
+                    const info = describe(e);
+                    const left = Math.max(0, Math.ceil((new Date(e.deletedAt).getTime() + Store.data.trashDays * dayMs - Date.now()) / dayMs));
+                    return `
+                <div class="bg-white p-3 rounded-xl border border-gray-100 flex justify-between items-center shadow-sm mb-2">
+                    <div class="flex items-center gap-3 min-w-0">
+                        <div class="w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center text-gray-500 shrink-0"><i data-lucide="${info.icon}" class="w-4 h-4"></i></div>
+                        <div class="min-w-0">
+                            <p class="font-semibold text-gray-800 text-sm truncate">${Store.escapeHtml(info.title)}</p>
+                            <p class="text-[10px] text-gray-400">${info.detail} • apaga em ${left} dia(s)</p>
+                        </div>
+                    </div>
+                    <div class="flex gap-1 shrink-0">
+                        <button onclick="Actions.restoreFromTrash('${e.id}')" class="text-blue-600 bg-blue-50 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="undo-2" class="w-4 h-4"></i></button>
+                        <button onclick="Actions.deleteFromTrash('${e.id}')" class="text-red-500 bg-red-50 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+                    </div>
+                </div>
+            `}).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Lixeira</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 h-[70vh] overflow-y-auto">
+                    <div class="flex items-center justify-between gap-2 mb-4">
+                        <label class="text-xs text-gray-500 flex items-center gap-2">Apagar de vez após
+                            <select onchange="Actions.setTrashDays(this.value)" class="bg-white border border-gray-200 rounded-lg p-1 text-xs font-bold">
+                                ${[7, 15, 30, 60, 90].map(d => `<option value="${d}" ${d === Store.data.trashDays ? 'selected' : ''}>${d} dias</option>`).join('')}
+                            </select>
+                        </label>
+                        ${Store.data.trash.length > 0 ? `<button onclick="Actions.emptyTrash()" class="text-xs font-bold text-red-500">Esvaziar</button>` : ''}
+                    </div>
+                    ${list}
+                </div>
+            `;
+        } else if (type === 'edit_transaction') {
+            const t = Store.data.transactions.find(item => item.id === arguments[1]);
+            if (!t) return;
+
+            const d = new Date(t.date);
+            const dateValue = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+            // Conta arquivada só aparece se já for a do lançamento
+            const accountOptions = selected => Store.data.accounts
+                .filter(a => !a.archived || a.id === selected)
+                .map(a => `<option value="${a.id}" ${a.id === selected ? 'selected' : ''}>${a.name}</option>`).join('');
+            const categories = t.isHomeExpense ? Store.data.homeCategories : Store.data.customCategories;
+            const field = (label, html) => `<div><label class="text-sm font-medium">${label}</label>${html}</div>`;
+            const inputClass = 'w-full bg-white p-3 rounded-xl border border-gray-200 mt-1';
+
+            let fields = '';
+            if (t.type === 'transfer') {
+                fields += `
+                    <div class="grid grid-cols-2 gap-3">
+                        ${field('De', `<select name="accountId" class="${inputClass}">${accountOptions(t.accountId)}</select>`)}
+                        ${field('Para', `<select name="toAccountId" class="${inputClass}">${accountOptions(t.toAccountId)}</select>`)}
+                    </div>`;
+            } else if (!t.isHomeExpense) {
+                fields += field('Conta', `<select name="accountId" class="${inputClass}">${accountOptions(t.accountId)}</select>`);
+            }
+            if (t.type === 'expense') {
+                fields += field('Categoria', `
+                    <input name="category" list="edit-categories" value="${t.category || ''}" class="${inputClass}">
+                    <datalist id="edit-categories">${categories.map(c => `<option value="${c}">`).join('')}</datalist>`);
+            }
+            fields += field('Descrição', `<input name="description" type="text" value="${Store.escapeHtml(t.description)}" class="${inputClass}">`);
+            if (t.type === 'income') {
+                fields += field('Cliente', `<select name="clientId" class="${inputClass}">${ui.clientOptions(t.clientId)}</select>`);
+                fields += field('Natureza da Receita', `<select name="revenueType" class="${inputClass}">${Object.entries(Store.revenueTypes)
+                    .map(([key, label]) => `<option value="${key}" ${key === (t.revenueType || 'services') ? 'selected' : ''}>${label}</option>`).join('')}</select>`);
+                fields += `
+                    <label class="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200">
+                        <span class="font-medium text-gray-700 text-sm">Nota Fiscal emitida</span>
+                        <input name="hasInvoice" type="checkbox" ${t.hasInvoice ? 'checked' : ''} class="w-6 h-6 rounded accent-green-500 cursor-pointer">
+                    </label>`;
+                if (t.payments) {
+                    fields += field('Previsão de Recebimento', `<input name="expectedDate" type="date" value="${t.expectedDate || ''}" class="${inputClass}">`);
+                    fields += `<button type="button" onclick="ui.openModal('receivable', '${t.id}')" class="text-sm text-amber-600 font-bold">Recebimentos (${Store.formatCurrency(Store.getReceivedAmount(t))} de ${Store.formatCurrency(t.amount)})</button>`;
+                }
+            }
+            if (t.isHomeExpense || t.isDas) {
+                fields += `
+                    <label class="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200">
+                        <span class="font-medium text-gray-700 text-sm">Já está pago?</span>
+                        <input name="isPaid" type="checkbox" ${t.isPaid ? 'checked' : ''} class="w-6 h-6 rounded accent-green-500 cursor-pointer">
+                    </label>`;
+            }
+            fields += ui.attachmentPicker(t.id);
+
+            const history = (t.history || []).slice().reverse().map(h => `
+                <div class="text-xs border-l-2 border-gray-200 pl-3 py-1">
+                    <p class="text-gray-400">${new Date(h.at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</p>
+                    ${Object.entries(h.changes).map(([key, c]) => `
+                    <p class="text-gray-600"><span class="font-bold">${ui.historyLabels[key] || key}:</span> ${ui.historyValue(key, c.from)} → ${ui.historyValue(key, c.to)}</p>`).join('')}
+                </div>
+            `).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Editar Lançamento</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveTransactionEdit(event, '${t.id}')" class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div class="grid grid-cols-2 gap-3">
+                        ${field('Valor', `<input name="amount" type="number" step="0.01" inputmode="decimal" value="${t.amount}" class="${inputClass} font-bold" required>`)}
+                        ${field('Data', `<input name="date" type="date" value="${dateValue}" class="${inputClass}" required>`)}
+                    </div>
+                    ${fields}
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+
+                    ${history ? `
+                    <div class="pt-2">
+                        <h4 class="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">Histórico de Alterações</h4>
+                        <div class="space-y-2">${history}</div>
+                    </div>` : ''}
+                </form>
+            `;
+        } else if (type === 'transfer') {
+            const active = Store.getActiveAccounts();
+            const options = selected => active
+                .map(a => `<option value="${a.id}" ${a.id === selected ? 'selected' : ''}>${a.name}</option>`).join('');
+            const mei = active.find(a => a.type === 'mei');
+            const cash = active.find(a => a.type === 'cash');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Transferência</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.submitTransfer(event)" class="p-6 space-y-4">
+                    <div>
+                        <label class="text-xs font-bold text-gray-400 uppercase">Valor</label>
+                        <input id="inp-transfer-amount" type="number" step="0.01" inputmode="decimal" class="ios-input text-4xl font-bold w-full border-b-2 border-blue-500 py-2" placeholder="0,00" autoFocus required>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="text-sm font-medium">De</label>
+                            <select id="inp-transfer-from" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1">
+                                ${options(mei ? mei.id : '')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="text-sm font-medium">Para</label>
+                            <select id="inp-transfer-to" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1">
+                                ${options(cash ? cash.id : '')}
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label class="text-sm font-medium">Descrição</label>
+                        <input id="inp-transfer-desc" type="text" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1" placeholder="Ex: Retirada de lucro, Saque, Depósito">
+                    </div>
+                    <p class="text-xs text-gray-400">Transferências mudam o saldo das duas contas, mas não contam como faturamento do MEI nem como despesa.</p>
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg mt-4 shadow-lg shadow-blue-200">Transferir</button>
+                </form>
+            `;
         } else if (type === 'accounts') {
-            const list = Store.data.accounts.map(a => `
+            const list = Store.getActiveAccounts().map(a => `
                 <div class="bg-white p-4 rounded-lg border border-gray-100 mb-3 shadow-sm">
                     <div class="flex justify-between items-start mb-2">
                         <div>
                             <p class="font-bold text-gray-800 text-lg">${a.name}</p>
                             <p class="text-xs text-gray-400 font-medium uppercase tracking-wide">${a.type}</p>
                         </div>
-                        ${a.type !== 'cash' ? `<button onclick="Actions.deleteAccount('${a.id}')" class="text-red-500 bg-red-50 p-2 rounded-lg"><i data-lucide="trash-2" class="w-4 h-4"></i></button>` : ''}
+                        <div class="flex gap-1">
+                            <button onclick="ui.openModal('account_edit', '${a.id}')" class="text-blue-500 bg-blue-50 p-2 rounded-lg"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+                            ${a.type !== 'cash' ? `<button onclick="Actions.deleteAccount('${a.id}')" class="text-red-500 bg-red-50 p-2 rounded-lg"><i data-lucide="trash-2" class="w-4 h-4"></i></button>` : ''}
+                        </div>
                     </div>
                     
                     ${a.description ? `<p class="text-sm text-gray-600 mb-1 italic">"${a.description}"</p>` : ''}
@@ -1201,11 +4932,21 @@ const ui = {
                             <input name="cnpj" id="inp-acc-cnpj-modal" type="text" class="w-full bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm" placeholder="00.000.000/0001-00">
                         </div>
                         <div>
-                            <label class="text-[10px] font-bold text-gray-400 uppercase">Saldo Inicial (Ano)</label>
+                            <label class="text-[10px] font-bold text-gray-400 uppercase">Saldo Inicial</label>
                             <input name="initial" id="inp-acc-initial-modal" type="number" step="0.01" class="w-full bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm" placeholder="R$ 0,00">
                         </div>
                     </div>
+
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase">Faturamento no Ano (antes do app)</label>
+                        <input name="openingRevenue" id="inp-acc-opening-revenue-modal" type="number" step="0.01" class="w-full bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm" placeholder="R$ 0,00">
+                    </div>
                     
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase">Abertura do MEI</label>
+                        <input name="openingDate" id="inp-acc-opening-modal" type="date" class="w-full bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm">
+                    </div>
+
                     <div>
                         <label class="text-[10px] font-bold text-gray-400 uppercase">Descrição</label>
                         <textarea name="description" id="inp-acc-desc-modal" class="w-full bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm" rows="2" placeholder="Conta principal para serviços..."></textarea>
@@ -1221,7 +4962,7 @@ const ui = {
             `;
         } else if (type === 'expense') {
             const cats = Store.data.customCategories.map(c => `<option value="${c}">${c}</option>`).join('');
-            const accounts = Store.data.accounts.map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+            const accounts = Store.getActiveAccounts().map(a => `<option value="${a.id}">${a.name}</option>`).join('');
 
             content.innerHTML = `
                 <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
@@ -1251,6 +4992,7 @@ const ui = {
         <div id="new-cat-box" class="hidden">
             <input id="inp-new-cat" type="text" class="w-full bg-gray-50 p-3 rounded-xl border border-blue-200 mt-1" placeholder="Nome da nova categoria">
         </div>
+        ${ui.attachmentPicker()}
         <button type="submit" class="w-full bg-red-500 text-white p-4 rounded-xl font-bold text-lg mt-4 shadow-lg shadow-red-200">Confirmar</button>
     </form>
 `;
@@ -1306,14 +5048,10 @@ const ui = {
                 <div class="bg-blue-50 p-4 rounded-xl border border-blue-100 flex items-start gap-3 mb-4">
                     <i data-lucide="calendar-clock" class="text-blue-500 w-5 h-5 mt-0.5"></i>
                     <div>
-                        <p class="text-xs font-bold text-blue-700 mb-1">Conta Mensal Automática</p>
-                        <p class="text-xs text-blue-600/80">O valor será lançado automaticamente todo mês no dia escolhido.</p>
+                        <p class="text-xs font-bold text-blue-700 mb-1">Conta Automática</p>
+                        <p class="text-xs text-blue-600/80">O valor será lançado automaticamente na frequência escolhida, a partir do primeiro vencimento.</p>
                     </div>
                 </div>
-                <div>
-                    <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">Dia do Vencimento</label>
-                    <input id="inp-recur-day" type="number" value="10" min="1" max="31" class="w-full bg-gray-50 p-3 rounded-xl border border-gray-200 font-bold text-lg outline-none focus:border-blue-500">
-                </div>
             </div>
 
             <div id="box-reminder" class="hidden animate-in fade-in">
@@ -1321,16 +5059,31 @@ const ui = {
                     <i data-lucide="bell" class="text-orange-500 w-5 h-5 mt-0.5"></i>
                     <div>
                         <p class="text-xs font-bold text-orange-700 mb-1">Lembrete de Pagamento</p>
-                        <p class="text-xs text-orange-600/80">Você será lembrado todo mês neste dia. Útil para contas com valor variável (Água, Luz).</p>
+                        <p class="text-xs text-orange-600/80">Você será lembrado na frequência escolhida. Útil para contas com valor variável (Água, Luz, IPVA).</p>
                     </div>
                 </div>
-                <div>
-                    <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">Dia do Vencimento</label>
-                    <input id="inp-remind-day" type="number" value="10" min="1" max="31" class="w-full bg-gray-50 p-3 rounded-xl border border-gray-200 font-bold text-lg outline-none focus:border-blue-500">
-                </div>
             </div>
 
-            <!-- Category -->
+            <div id="box-recurrence" class="hidden animate-in fade-in">
+                ${ui.recurrenceFields({ startDate: Store.dateKey(new Date()) })}
+            </div>
+
+            ${Store.data.cards.length > 0 ? `
+            <div id="box-card" class="space-y-3">
+                <div>
+                    <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">Forma de Pagamento</label>
+                    <select id="inp-home-card" onchange="Actions.setHomeCard(this.value)" class="w-full bg-white p-3 rounded-xl border border-gray-200 text-base font-medium outline-none focus:border-blue-500">
+                        <option value="">Boleto / Débito / Dinheiro</option>
+                        ${Store.data.cards.map(c => `<option value="${c.id}">Cartão ${c.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div id="box-card-date" class="hidden">
+                    <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">Data da Compra</label>
+                    <input id="inp-card-date" type="date" value="${Store.dateKey(new Date())}" class="w-full bg-gray-50 p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500">
+                </div>
+            </div>` : ''}
+
+            <!-- Category -->
             <div>
                 <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">Categoria</label>
                 <select id="inp-home-cat" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 text-base font-medium outline-none focus:border-blue-500">
@@ -1344,6 +5097,10 @@ const ui = {
                 <input id="inp-is-paid" type="checkbox" class="w-6 h-6 rounded accent-green-500 cursor-pointer">
             </div>
 
+            <div id="box-attachments">
+                ${ui.attachmentPicker()}
+            </div>
+
             <button type="submit" class="w-full bg-blue-600 hover:bg-blue-700 active:scale-95 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 transition-all">Salvar Conta</button>
     </form>
 `;
@@ -1351,12 +5108,16 @@ const ui = {
             const list = Store.data.recurring.length === 0
                 ? '<p class="text-center text-gray-400 py-8 italic">Nenhuma conta recorrente cadastrada.</p>'
                 : Store.data.recurring.map(r => `
-                <div class="bg-white p-4 rounded-xl border border-gray-100 flex justify-between items-center shadow-sm mb-2">
-                    <div>
-                        <p class="font-bold text-gray-800">${r.title}</p>
-                        <p class="text-xs text-gray-500">Todo dia ${r.day} • <span class="text-blue-600 font-bold">${Store.formatCurrency(r.amount)}</span></p>
+                <div class="bg-white p-4 rounded-xl border ${r.active ? 'border-gray-100' : 'border-dashed border-gray-200 opacity-70'} flex justify-between items-center shadow-sm mb-2 gap-2">
+                    <div class="min-w-0">
+                        <p class="font-bold text-gray-800 truncate">${r.title}${r.active ? '' : ' <span class="text-[10px] bg-gray-100 text-gray-500 px-1.5 py-0.5 rounded uppercase">Pausada</span>'}</p>
+                        <p class="text-xs text-gray-500">${r.type === 'income' ? '<span class="text-green-600 font-bold">Entrada</span> • ' : ''}${ui.describeRecurrence(r)} • <span class="text-blue-600 font-bold">${r.type === 'reminder' ? 'Lembrete' : Store.formatCurrency(r.amount)}</span></p>
+                    </div>
+                    <div class="flex gap-1 shrink-0">
+                        <button onclick="Actions.toggleRecurring('${r.id}')" class="text-gray-600 bg-gray-100 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="${r.active ? 'pause' : 'play'}" class="w-4 h-4"></i></button>
+                        <button onclick="ui.openModal('recurring_edit', '${r.id}')" class="text-blue-600 bg-blue-50 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+                        <button onclick="Actions.deleteRecurring('${r.id}')" class="text-red-500 bg-red-50 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
                     </div>
-                    <button onclick="Actions.deleteRecurring('${r.id}')" class="text-red-500 bg-red-50 p-2 rounded-lg active:scale-95 transition-transform"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
                 </div>
     `).join('');
 
@@ -1373,6 +5134,336 @@ const ui = {
         </button>
     </div>
 `;
+        } else if (type === 'recurring_edit') {
+            const r = Store.data.recurring.find(item => item.id === arguments[1]);
+            if (!r) return;
+            const inputClass = 'w-full bg-white p-3 rounded-xl border border-gray-200 mt-1';
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Editar Recorrente</h3>
+                    <button onclick="ui.openModal('recurring_list')" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveRecurring(event, '${r.id}')" class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div>
+                        <label class="text-sm font-medium">Nome</label>
+                        <input id="inp-rec-title" type="text" value="${r.title}" class="${inputClass}">
+                    </div>
+                    ${r.type !== 'reminder' ? `
+                    <div>
+                        <label class="text-sm font-medium">Valor</label>
+                        <input id="inp-rec-amount" type="number" step="0.01" value="${r.amount}" class="${inputClass} font-bold" required>
+                    </div>
+                    <label class="flex items-center justify-between gap-3 p-4 bg-white rounded-xl border border-gray-200">
+                        <span class="text-sm text-gray-700">Aplicar o novo valor também aos lançamentos futuros já gerados (não pagos)</span>
+                        <input id="inp-rec-apply-future" type="checkbox" class="w-6 h-6 rounded accent-blue-500 cursor-pointer shrink-0">
+                    </label>` : ''}
+                    ${ui.recurrenceFields({ ...r, startDate: r.startDate || Store.dateKey(new Date(r.createdAt)) })}
+                    <p class="text-xs text-gray-400">Lançamentos passados nunca são alterados.</p>
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+                </form>
+            `;
+        } else if (type === 'clients') {
+            const year = new Date().getFullYear();
+            const list = Store.data.clients.length === 0
+                ? '<p class="text-center text-gray-400 py-6 italic text-sm">Nenhum cliente cadastrado.</p>'
+                : [...Store.data.clients].sort((a, b) => a.name.localeCompare(b.name, 'pt-BR')).map(c => {
+                    const summary = Store.getClientSummary(c.id);
+                    return `
+                <button onclick="ui.openModal('client', '${c.id}')" class="w-full text-left bg-white p-4 rounded-xl border border-gray-100 shadow-sm mb-2 flex justify-between items-center active:scale-95 transition-transform">
+                    <div class="min-w-0">
+                        <p class="font-bold text-gray-800 truncate">${c.name}${summary.kind ? ` <span class="text-[10px] px-1.5 py-0.5 rounded ${summary.kind === 'pj' ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-500'}">${summary.kind === 'pj' ? 'CNPJ' : 'CPF'}</span>` : ''}</p>
+                        <p class="text-xs text-gray-500">${summary.entries.length} entrada(s) • ${year}: ${Store.formatCurrency(summary.year)}</p>
+                    </div>
+                    <i data-lucide="chevron-right" class="w-4 h-4 text-gray-300 shrink-0"></i>
+                </button>
+            `}).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Clientes</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto">
+                    ${list}
+                    <form onsubmit="Actions.saveClient(event)" class="bg-white p-4 rounded-xl border border-gray-100 mt-4 space-y-2">
+                        <p class="font-bold text-gray-800 text-sm">Novo Cliente</p>
+                        ${ui.clientFields({})}
+                        <button type="submit" class="w-full bg-blue-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Adicionar Cliente</button>
+                    </form>
+                </div>
+            `;
+        } else if (type === 'client') {
+            const summary = Store.getClientSummary(arguments[1]);
+            if (!summary) return ui.openModal('clients');
+            const { client } = summary;
+            const now = new Date();
+
+            const history = summary.entries.length === 0
+                ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhuma entrada para este cliente.</p>'
+                : summary.entries.map(t => {
+                    const account = Store.data.accounts.find(a => a.id === t.accountId);
+                    return `
+                <div class="flex justify-between items-center p-3 text-sm">
+                    <div class="min-w-0">
+                        <p class="font-medium text-gray-800 truncate">${Store.escapeHtml(t.description || 'Venda')}</p>
+                        <p class="text-[10px] text-gray-400">${new Date(t.date).toLocaleDateString('pt-BR')}${account ? ` • ${account.name}` : ''} • ${t.hasInvoice ? 'Com NF' : `<span class="${Store.isCompanySaleWithoutInvoice(t) ? 'text-red-500 font-bold' : ''}">Sem NF</span>`}</p>
+                    </div>
+                    <span class="font-bold text-green-600 shrink-0">${Store.formatCurrency(t.amount)}</span>
+                </div>
+            `}).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold truncate">${client.name}</h3>
+                    <button onclick="ui.openModal('clients')" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto space-y-4">
+                    <div class="grid grid-cols-3 gap-2 text-center">
+                        <div class="bg-white rounded-xl border border-gray-100 p-3"><p class="text-[10px] text-gray-400 uppercase font-bold">${now.toLocaleDateString('pt-BR', { month: 'short' }).replace('.', '')}</p><p class="font-bold text-gray-800 text-sm">${Store.formatCurrency(summary.month)}</p></div>
+                        <div class="bg-white rounded-xl border border-gray-100 p-3"><p class="text-[10px] text-gray-400 uppercase font-bold">${now.getFullYear()}</p><p class="font-bold text-gray-800 text-sm">${Store.formatCurrency(summary.year)}</p></div>
+                        <div class="bg-white rounded-xl border border-gray-100 p-3"><p class="text-[10px] text-gray-400 uppercase font-bold">Total</p><p class="font-bold text-green-600 text-sm">${Store.formatCurrency(summary.total)}</p></div>
+                    </div>
+
+                    ${summary.withoutInvoice > 0 ? `
+                    <div class="bg-red-50 p-3 rounded-xl border border-red-100 text-xs text-red-700">
+                        ${summary.withoutInvoice} venda(s) por conta MEI sem nota fiscal. Para clientes com CNPJ a nota é obrigatória.
+                    </div>` : ''}
+
+                    ${summary.byYear.length > 1 ? `
+                    <div class="bg-white rounded-xl border border-gray-100 divide-y divide-gray-100">
+                        ${summary.byYear.map(y => `<div class="flex justify-between p-3 text-sm"><span class="text-gray-600">${y.year} • ${y.count} entrada(s)</span><span class="font-bold">${Store.formatCurrency(y.total)}</span></div>`).join('')}
+                    </div>` : ''}
+
+                    <div>
+                        <h4 class="font-bold text-gray-700 text-sm mb-2">Histórico</h4>
+                        <div class="bg-white rounded-xl border border-gray-100 divide-y divide-gray-100">${history}</div>
+                    </div>
+
+                    <form onsubmit="Actions.saveClient(event, '${client.id}')" class="bg-white p-4 rounded-xl border border-gray-100 space-y-2">
+                        <p class="font-bold text-gray-800 text-sm">Dados do Cliente</p>
+                        ${ui.clientFields(client)}
+                        <button type="submit" class="w-full bg-blue-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Salvar</button>
+                    </form>
+                    <button onclick="Actions.deleteClient('${client.id}')" class="w-full bg-red-50 text-red-600 p-3 rounded-xl font-bold text-sm active:scale-95 transition-transform">Excluir Cliente</button>
+                </div>
+            `;
+        } else if (type === 'cards') {
+            const list = Store.data.cards.length === 0
+                ? '<p class="text-center text-gray-400 py-6 italic text-sm">Nenhum cartão cadastrado.</p>'
+                : Store.data.cards.map(c => {
+                    const available = Store.getCardAvailable(c.id);
+                    const used = c.limit ? Math.min(100, Math.max(0, (c.limit - available) / c.limit * 100)) : 0;
+                    return `
+                <button onclick="ui.openModal('card', '${c.id}')" class="w-full text-left bg-white p-4 rounded-xl border border-gray-100 shadow-sm mb-2 active:scale-95 transition-transform">
+                    <div class="flex justify-between items-center">
+                        <p class="font-bold text-gray-800 flex items-center gap-2"><i data-lucide="credit-card" class="w-4 h-4 text-purple-500"></i> ${c.name}</p>
+                        <i data-lucide="chevron-right" class="w-4 h-4 text-gray-300"></i>
+                    </div>
+                    <p class="text-xs text-gray-500 mt-1">Fecha dia ${c.closingDay} • Vence dia ${c.dueDay}</p>
+                    <div class="w-full bg-gray-100 h-1.5 rounded-full mt-2 overflow-hidden"><div class="h-full ${available < 0 ? 'bg-red-500' : 'bg-purple-500'}" style="width: ${used}%"></div></div>
+                    <p class="text-xs mt-1 ${available < 0 ? 'text-red-600 font-bold' : 'text-gray-500'}">Disponível: ${Store.formatCurrency(available)} de ${Store.formatCurrency(c.limit || 0)}</p>
+                </button>
+            `}).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Cartões de Crédito</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto">
+                    ${list}
+                    <form onsubmit="Actions.saveCard(event)" class="bg-white p-4 rounded-xl border border-gray-100 mt-4 space-y-3">
+                        <p class="font-bold text-gray-800 text-sm">Novo Cartão</p>
+                        ${ui.cardFields({})}
+                        <button type="submit" class="w-full bg-purple-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Adicionar Cartão</button>
+                    </form>
+                </div>
+            `;
+        } else if (type === 'card') {
+            const card = Store.data.cards.find(c => c.id === arguments[1]);
+            if (!card) return ui.openModal('cards');
+
+            const available = Store.getCardAvailable(card.id);
+            const currentKey = Store.getInvoiceKey(card, new Date());
+            // Em aberto: a atual, as futuras e as anteriores ainda não pagas
+            const invoices = Store.getCardInvoices(card.id).filter(i => i.key >= currentKey || !i.isPaid);
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">${card.name}</h3>
+                    <button onclick="ui.openModal('cards')" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto space-y-4">
+                    <div class="bg-purple-700 text-white rounded-xl p-4">
+                        <p class="text-xs font-bold text-purple-200 uppercase">Limite Disponível</p>
+                        <p class="text-3xl font-bold ${available < 0 ? 'text-red-300' : ''}">${Store.formatCurrency(available)}</p>
+                        <p class="text-xs text-purple-200 mt-1">de ${Store.formatCurrency(card.limit || 0)} • Fecha dia ${card.closingDay} • Vence dia ${card.dueDay}</p>
+                    </div>
+
+                    <div>
+                        <h4 class="font-bold text-gray-700 text-sm mb-2">Próximas Faturas</h4>
+                        ${invoices.length === 0 ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhuma compra em aberto.</p>' : invoices.map(i => `
+                            <button onclick="ui.openModal('card_invoice', '${card.id}', '${i.key}')" class="w-full flex justify-between items-center bg-white p-3 rounded-xl border border-gray-100 mb-2 text-left active:scale-95 transition-transform">
+                                <div>
+                                    <p class="font-semibold text-gray-800 text-sm capitalize">${i.due.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' })}</p>
+                                    <p class="text-[10px] text-gray-400">Vence ${i.due.toLocaleDateString('pt-BR')} • ${i.isPaid ? 'Paga' : (i.isClosed ? 'Fechada' : 'Aberta')}</p>
+                                </div>
+                                <span class="font-bold ${i.isPaid ? 'text-green-600' : 'text-gray-800'}">${Store.formatCurrency(i.total)}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+
+                    <form onsubmit="Actions.saveCard(event, '${card.id}')" class="bg-white p-4 rounded-xl border border-gray-100 space-y-3">
+                        <p class="font-bold text-gray-800 text-sm">Editar Cartão</p>
+                        ${ui.cardFields(card)}
+                        <button type="submit" class="w-full bg-purple-600 text-white p-3 rounded-xl font-bold active:scale-95 transition-transform">Salvar</button>
+                    </form>
+                    <button onclick="Actions.deleteCard('${card.id}')" class="w-full bg-red-50 text-red-600 p-3 rounded-xl font-bold text-sm active:scale-95 transition-transform">Excluir Cartão</button>
+                </div>
+            `;
+        } else if (type === 'card_invoice') {
+            const invoice = Store.getCardInvoice(arguments[1], arguments[2]);
+            if (!invoice) return ui.closeModal();
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Fatura ${invoice.card.name}</h3>
+                    <button onclick="ui.openModal('card', '${invoice.card.id}')" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto space-y-4">
+                    <div class="bg-white rounded-xl border border-gray-100 p-4 text-center">
+                        <p class="text-3xl font-bold text-gray-800">${Store.formatCurrency(invoice.total)}</p>
+                        <p class="text-xs text-gray-500 mt-1">Fecha ${invoice.closing.toLocaleDateString('pt-BR')} • Vence ${invoice.due.toLocaleDateString('pt-BR')}</p>
+                    </div>
+                    <div class="bg-white rounded-xl border border-gray-100 divide-y divide-gray-100">
+                        ${invoice.items.length === 0 ? '<p class="text-center text-gray-400 py-4 italic text-sm">Nenhuma compra nesta fatura.</p>' : invoice.items.map(t => `
+                            <div class="flex justify-between items-center p-3 text-sm">
+                                <div class="min-w-0">
+                                    <p class="font-medium text-gray-800 truncate">${t.category}${t.description ? ` <span class="text-xs text-gray-500">(${Store.escapeHtml(t.description)})</span>` : ''}</p>
+                                    <p class="text-[10px] text-gray-400">${new Date(t.date).toLocaleDateString('pt-BR')}</p>
+                                </div>
+                                <span class="font-bold text-gray-800 shrink-0">${Store.formatCurrency(t.amount)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${invoice.items.length > 0 ? `
+                    <button onclick="Actions.toggleInvoicePaid('${invoice.card.id}', '${invoice.key}'); ui.openModal('card_invoice', '${invoice.card.id}', '${invoice.key}')" class="w-full ${invoice.isPaid ? 'bg-gray-100 text-gray-600' : 'bg-green-600 text-white'} p-4 rounded-xl font-bold active:scale-95 transition-transform">${invoice.isPaid ? 'Marcar como Não Paga' : 'Marcar Fatura como Paga'}</button>` : ''}
+                </div>
+            `;
+        } else if (type === 'installment') {
+            const group = Store.getInstallmentGroup(arguments[1]);
+            if (!group) {
+                ui.closeModal();
+                return;
+            }
+            const nextAmount = group.remaining.length ? group.remaining[0].amount : 0;
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Parcelamento</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div class="bg-slate-800 text-white rounded-xl p-4">
+                        <p class="font-bold text-lg">${group.title}</p>
+                        <div class="grid grid-cols-3 gap-2 mt-3 text-center">
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Pagas</p><p class="font-bold">${group.paid.length}/${group.parcels.length}</p></div>
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Pago</p><p class="font-bold">${Store.formatCurrency(group.paidAmount)}</p></div>
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Saldo Devedor</p><p class="font-bold text-yellow-300">${Store.formatCurrency(group.outstanding)}</p></div>
+                        </div>
+                        ${group.discount ? `<p class="text-xs text-green-300 mt-3 text-center">Desconto na quitação: ${Store.formatCurrency(group.discount)}</p>` : ''}
+                    </div>
+
+                    <div class="bg-white rounded-xl border border-gray-100 divide-y divide-gray-100">
+                        ${group.parcels.map(t => `
+                            <div class="flex justify-between items-center p-3 text-sm">
+                                <div class="flex items-center gap-2">
+                                    <i data-lucide="${t.isPaid ? 'check-circle-2' : 'circle'}" class="w-4 h-4 ${t.isPaid ? 'text-green-500' : 'text-gray-300'}"></i>
+                                    <span class="${t.isPaid ? 'text-gray-500' : 'text-gray-800 font-medium'}">${t.installmentPayoff ? 'Quitação' : (t.category.match(/\((\d+\/\d+)\)$/)?.[1] || '')} • ${new Date(t.date).toLocaleDateString('pt-BR', { month: 'short', year: 'numeric' })}</span>
+                                </div>
+                                <span class="font-bold ${t.isPaid ? 'text-gray-500' : 'text-gray-800'}">${Store.formatCurrency(t.amount)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    ${group.remaining.length ? `
+                    <form onsubmit="Actions.saveInstallmentAmount(event, '${group.id}')" class="bg-white p-4 rounded-xl border border-gray-100 space-y-2">
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block">Valor das Parcelas em Aberto</label>
+                        <div class="flex gap-2">
+                            <input id="inp-installment-amount" type="number" step="0.01" value="${nextAmount}" class="flex-1 bg-gray-50 p-3 rounded-xl border border-gray-200 font-bold" required>
+                            <button type="submit" class="bg-blue-600 text-white px-4 rounded-xl font-bold text-sm active:scale-95 transition-transform">Aplicar</button>
+                        </div>
+                    </form>
+
+                    <form onsubmit="Actions.payoffInstallments(event, '${group.id}')" class="bg-green-50 p-4 rounded-xl border border-green-100 space-y-2">
+                        <label class="text-[10px] font-bold text-green-700 uppercase tracking-widest block">Quitar Antecipado — Desconto (R$)</label>
+                        <div class="flex gap-2">
+                            <input id="inp-payoff-discount" type="number" step="0.01" min="0" value="0" class="flex-1 bg-white p-3 rounded-xl border border-green-200 font-bold">
+                            <button type="submit" class="bg-green-600 text-white px-4 rounded-xl font-bold text-sm active:scale-95 transition-transform">Quitar</button>
+                        </div>
+                        <p class="text-xs text-green-700/80">As parcelas em aberto viram um único pagamento hoje, no valor do saldo devedor menos o desconto.</p>
+                    </form>
+
+                    <button onclick="Actions.cancelInstallments('${group.id}')" class="w-full bg-red-50 text-red-600 p-3 rounded-xl font-bold text-sm active:scale-95 transition-transform">Cancelar Parcelas Restantes</button>
+                    ` : '<p class="text-center text-sm text-green-600 font-bold">Parcelamento encerrado.</p>'}
+                </div>
+            `;
+        } else if (type === 'receivable') {
+            const t = Store.data.transactions.find(item => item.id === arguments[1]);
+            if (!t || !t.payments) {
+                ui.closeModal();
+                return;
+            }
+            const received = Store.getReceivedAmount(t);
+            const remaining = Math.max(0, Math.round((t.amount - received) * 100) / 100);
+            const client = t.clientId ? Store.data.clients.find(c => c.id === t.clientId) : null;
+            const overdue = t.isPending && t.expectedDate && t.expectedDate < Store.dateKey(new Date());
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">A Receber</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div class="bg-slate-800 text-white rounded-xl p-4">
+                        <p class="font-bold text-lg">${Store.escapeHtml(t.description)}</p>
+                        <p class="text-xs text-slate-400">${client ? `${client.name} • ` : ''}Venda em ${new Date(t.date).toLocaleDateString('pt-BR')}${t.expectedDate ? ` • previsto para ${new Date(t.expectedDate + 'T12:00:00').toLocaleDateString('pt-BR')}` : ''}</p>
+                        <div class="grid grid-cols-3 gap-2 mt-3 text-center">
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Valor</p><p class="font-bold">${Store.formatCurrency(t.amount)}</p></div>
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Recebido</p><p class="font-bold">${Store.formatCurrency(received)}</p></div>
+                            <div><p class="text-[10px] text-slate-400 uppercase font-bold">Falta</p><p class="font-bold text-yellow-300">${Store.formatCurrency(remaining)}</p></div>
+                        </div>
+                        ${overdue ? '<p class="text-xs text-red-300 font-bold mt-3 text-center">Recebimento atrasado.</p>' : ''}
+                    </div>
+
+                    ${t.payments.length ? `
+                    <div class="bg-white rounded-xl border border-gray-100 divide-y divide-gray-100">
+                        ${t.payments.slice().sort((a, b) => new Date(a.date) - new Date(b.date)).map(p => `
+                            <div class="flex justify-between items-center p-3 text-sm">
+                                <span class="text-gray-600 flex items-center gap-2"><i data-lucide="check-circle-2" class="w-4 h-4 text-green-500"></i> ${new Date(p.date).toLocaleDateString('pt-BR')}</span>
+                                <span class="flex items-center gap-2">
+                                    <span class="font-bold text-green-600">${Store.formatCurrency(p.amount)}</span>
+                                    <button onclick="Actions.deletePayment('${t.id}', '${p.id}')" class="text-gray-300 hover:text-red-500 p-1"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+                                </span>
+                            </div>
+                        `).join('')}
+                    </div>` : '<p class="text-center text-sm text-gray-400 italic">Nenhum recebimento ainda.</p>'}
+
+                    ${t.isPending ? `
+                    <form onsubmit="Actions.receivePayment(event, '${t.id}')" class="bg-green-50 p-4 rounded-xl border border-green-100 space-y-2">
+                        <label class="text-[10px] font-bold text-green-700 uppercase tracking-widest block">Registrar Recebimento</label>
+                        <div class="grid grid-cols-2 gap-2">
+                            <input id="inp-receive-amount" type="number" step="0.01" min="0.01" value="${remaining}" class="bg-white p-3 rounded-xl border border-green-200 font-bold" required>
+                            <input id="inp-receive-date" type="date" value="${Store.dateKey(new Date())}" class="bg-white p-3 rounded-xl border border-green-200 text-sm" required>
+                        </div>
+                        <button type="submit" class="w-full bg-green-600 text-white p-3 rounded-xl font-bold text-sm active:scale-95 transition-transform">Receber</button>
+                        <p class="text-xs text-green-700/80">Deixe o valor cheio para dar como recebido por inteiro, ou informe só a parte que entrou.</p>
+                    </form>` : '<p class="text-center text-sm text-green-600 font-bold">Recebido por inteiro.</p>'}
+
+                    <button onclick="ui.openModal('edit_transaction', '${t.id}')" class="w-full bg-gray-100 text-gray-700 p-3 rounded-xl font-bold text-sm active:scale-95 transition-transform">Editar Lançamento</button>
+                </div>
+            `;
         } else if (type === 'update_reminder') {
             const id = arguments[1]; // passed as second arg
             const t = Store.data.transactions.find(item => item.id === id);
@@ -1403,97 +5494,629 @@ const ui = {
         } else if (type === 'manual') {
             content.innerHTML = `
                 <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
-                    <h3 class="font-bold">Manual de Uso</h3>
+                    <h3 class="font-bold">Manual de Uso</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+    <div class="p-6 bg-gray-50/50 h-[80vh] overflow-y-auto">
+        <div class="space-y-6">
+
+            <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+                <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="briefcase" class="w-4 h-4"></i> Trabalho</h4>
+                <p class="text-sm text-gray-600 leading-relaxed">
+                    Use esta aba para o <strong>dia a dia</strong>. Lance suas vendas (entradas) e custos operacionais (gasolina, mercadoria, etc).
+                    <br><br>
+                        Aqui você acompanha seu <strong>Saldo do Dia</strong> para saber exatamente quanto ganhou líquido hoje.
+                        <br><br>
+                        Vendeu para receber depois? Desmarque <strong>Recebido agora</strong> na entrada e informe a previsão (e a entrada, se houver). Ela fica em <strong>A Receber</strong>, em vermelho quando atrasada, até ser recebida por inteiro, em uma ou várias partes.
+                        <br><br>
+                        Para tirar dinheiro do MEI para a conta pessoal (ou sacar/depositar), use <strong>Transferir entre contas</strong>: o saldo das duas contas muda, sem contar como venda nem como despesa.
+                        <br><br>
+                        Guarde os comprovantes: ao lançar uma despesa (ou pelo lápis de edição de qualquer lançamento) use <strong>Foto</strong> ou <strong>Arquivo</strong> para anexar a nota ou o PDF. Para levá-los junto no backup, marque <strong>Backup completo (.zip)</strong>.
+                    </p>
+                    </div>
+
+                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="building-2" class="w-4 h-4"></i> Contas (MEI)</h4>
+                        <p class="text-sm text-gray-600 leading-relaxed">
+                            Gerencie suas contas MEI. O sistema monitora dois limites importantes para você não estourar:
+                            <ul class="list-disc pl-4 mt-2 space-y-1">
+                                <li><strong>Limite Anual (R$ 81k)</strong>: O teto obrigatório do MEI.</li>
+                                <li><strong>Limite Mensal (R$ 6.75k)</strong>: Uma referência para você manter a média segura e não ultrapassar o anual.</li>
+                            </ul>
+                            Informe a data de abertura da conta: no primeiro ano o limite é proporcional aos meses de atividade. Os valores podem ser ajustados em <em>Configurações &gt; Limites do MEI</em> quando a lei mudar.
+                        </p>
+                    </div>
+
+                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="home" class="w-4 h-4"></i> Casa</h4>
+                        <p class="text-sm text-gray-600 leading-relaxed">
+                            Controle suas <strong>despesas fixas pessoais</strong> (Aluguel, Luz, Internet).
+                            Isso ajuda a separar o custo da empresa do custo de vida pessoal.
+                        </p>
+                        <p class="text-sm text-gray-600 leading-relaxed mt-2">
+                            Em <strong>Cartões de Crédito</strong>, cadastre o dia de fechamento, o vencimento e o limite. Compras no cartão (inclusive parceladas) entram sozinhas na fatura certa, que aparece como uma conta no mês do vencimento.
+                        </p>
+                    </div>
+
+                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
+                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="bar-chart-3" class="w-4 h-4"></i> Relatórios</h4>
+                        <p class="text-sm text-gray-600 leading-relaxed">
+                            A visão geral do seu negócio.
+                            <ul class="list-disc pl-4 mt-2 space-y-1">
+                                <li><strong>Lucro Líquido</strong>: O que sobrou do trabalho.</li>
+                                <li><strong>Saldo Livre</strong>: Lucro do trabalho MENOS os custos de casa. É o dinheiro que realmente sobra para você.</li>
+                            </ul>
+                        </p>
+                    </div>
+
+            </div>
+            <button onclick="ui.openModal('settings')" class="w-full bg-gray-200 text-gray-700 py-3 rounded-xl font-bold text-sm mt-6">Voltar</button>
+        </div>
+        `;
+        } else if (type === 'settings') {
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Configurações</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-6 bg-gray-50/50">
+                    <h4 class="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Ajuda & Dados</h4>
+                    <div class="space-y-3">
+                         <button onclick="ui.openModal('recurring_list')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
+                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="calendar-clock" class="text-blue-500"></i> Gerenciar Recorrentes</span>
+                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
+                        </button>
+
+                         <button onclick="ui.openModal('clients')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
+                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="users" class="text-blue-500"></i> Clientes</span>
+                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
+                        </button>
+
+                         <button onclick="ui.openModal('mei_limits')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
+                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="gauge" class="text-blue-500"></i> Limites do MEI</span>
+                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
+                        </button>
+
+                         <button onclick="ui.openModal('manual')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
+                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="book-open" class="text-blue-500"></i> Manual de Uso</span>
+                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
+                        </button>
+                    
+                         <div class="relative">
+                            <input onchange="Actions.processStatement(event)" type="file" id="statement-upload" accept=".ofx,.qfx,.csv,.txt" class="hidden">
+                            <button onclick="Actions.triggerStatementUpload()" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                                <span class="flex items-center gap-3"><i data-lucide="landmark" class="text-gray-500"></i> Importar Extrato (OFX / CSV)</span>
+                                <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
+                            </button>
+                        </div>
+
+                         <div class="bg-white border border-gray-200 p-4 rounded-xl shadow-sm">
+                            <button onclick="Actions.toggleNotifications()" class="w-full flex items-center justify-between font-medium">
+                                <span class="flex items-center gap-3"><i data-lucide="${Store.data.notifications.enabled ? 'bell-ring' : 'bell-off'}" class="text-gray-500"></i> Avisos de Vencimento</span>
+                                <span class="text-xs font-bold px-2 py-1 rounded-full ${Store.data.notifications.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}">${Store.data.notifications.enabled ? 'Ligado' : 'Desligado'}</span>
+                            </button>
+                            ${Store.data.notifications.enabled ? `
+                            <label class="text-xs text-gray-500 flex items-center justify-between gap-2 mt-3">Avisar também
+                                <select onchange="Actions.setNotificationDays(this.value)" class="bg-gray-50 border border-gray-200 rounded-lg p-1 text-xs font-bold">
+                                    ${[0, 1, 2, 3, 5, 7].map(d => `<option value="${d}" ${d === Store.data.notifications.daysBefore ? 'selected' : ''}>${d === 0 ? 'só no dia' : `${d} dia(s) antes`}</option>`).join('')}
+                                </select>
+                            </label>
+                            ${'Notification' in window && Notification.permission === 'denied' ? '<p class="text-xs text-red-500 mt-2">As notificações estão bloqueadas no navegador.</p>' : ''}` : ''}
+                        </div>
+
+                         <button onclick="ui.openModal('trash')" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                            <span class="flex items-center gap-3"><i data-lucide="archive-restore" class="text-gray-500"></i> Lixeira${Store.data.trash.length > 0 ? ` <span class="text-xs bg-gray-100 text-gray-500 px-2 py-0.5 rounded-full">${Store.data.trash.length}</span>` : ''}</span>
+                            <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
+                        </button>
+
+                         <button onclick="ui.openModal('backup_export')" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                            <span class="flex items-center gap-3"><i data-lucide="download" class="text-gray-500"></i> Baixar Backup</span>
+                            <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
+                        </button>
+                        
+                        <div class="relative">
+                            <input onchange="Actions.processUpload(event)" type="file" id="file-upload" accept=".json,.sinsert,.zip" class="hidden">
+                            <button onclick="Actions.triggerUpload()" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                                <span class="flex items-center gap-3"><i data-lucide="upload" class="text-gray-500"></i> Restaurar Backup</span>
+                                <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
+                            </button>
+                        </div>
+
+                        <button onclick="ui.openModal('reset_confirm')" class="w-full flex items-center justify-between bg-white border border-red-100 p-4 rounded-xl font-medium mt-4 text-red-600 active:bg-red-50 active:scale-95 transition-transform shadow-sm">
+                            <span class="flex items-center gap-3"><i data-lucide="trash-2"></i> Resetar Aplicativo</span>
+                            <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                    
+                    <div class="mt-8 text-center">
+                        <p class="text-xs text-gray-400 font-mono">Safe-Insert Alpha <span data-app-version>${pwa.version}</span></p>
+                    </div>
+                </div>
+            `;
+        } else if (type === 'excess') {
+            const account = Store.data.accounts.find(a => a.id === arguments[1]);
+            const year = parseInt(arguments[2]) || new Date().getFullYear();
+            const extra = parseFloat(arguments[3]) || 0;
+            const sc = account ? Store.getExcessScenario(account.id, year, extra, arguments[4]) : null;
+            if (!sc) return;
+
+            const fmt = Store.formatCurrency;
+            const day = d => d.toLocaleDateString('pt-BR');
+            const monthName = m => new Date(year, m, 1).toLocaleDateString('pt-BR', { month: 'long' });
+            const item = (icon, text) => `<li class="flex gap-2"><i data-lucide="${icon}" class="w-4 h-4 shrink-0 mt-0.5"></i><span>${text}</span></li>`;
+
+            let scenario = '';
+            if (sc.scenario === 'none') {
+                scenario = `
+                    <div class="bg-green-50 p-4 rounded-xl border border-green-100 text-sm text-green-700">
+                        Dentro do limite. Ainda cabem <strong>${fmt(sc.limitSafe - sc.total)}</strong> este ano.
+                    </div>`;
+            } else if (sc.scenario === 'within') {
+                scenario = `
+                    <div class="bg-orange-50 p-4 rounded-xl border border-orange-100 text-sm text-orange-800">
+                        <p class="font-bold mb-2">Excesso de até 20%</p>
+                        <ul class="space-y-2">
+                            ${item('receipt', `DAS complementar sobre o excesso: <strong>~${fmt(sc.complement)}</strong> (${(sc.rate * 100).toFixed(1)}%), pago junto com a apuração de janeiro/${year + 1}, vencimento <strong>${day(sc.dueDate)}</strong>.`)}
+                            ${item('log-out', `Desenquadramento do SIMEI a partir de <strong>${day(sc.effectiveDate)}</strong>: a empresa passa a ser ME no Simples Nacional.`)}
+                            ${item('calendar-clock', `Comunicar o desenquadramento no Portal do Simples Nacional até <strong>${day(sc.notifyBy)}</strong>.`)}
+                            ${item('shield-alert', `Faltam <strong>${fmt(sc.toleranceLeft)}</strong> para passar de 20% e o desenquadramento virar retroativo.`)}
+                        </ul>
+                    </div>`;
+            } else {
+                scenario = `
+                    <div class="bg-red-50 p-4 rounded-xl border border-red-100 text-sm text-red-800">
+                        <p class="font-bold mb-2">Excesso acima de 20% (estourou em ${monthName(sc.maxMonth)})</p>
+                        <ul class="space-y-2">
+                            ${item('history', `Desenquadramento <strong>retroativo a ${day(sc.effectiveDate)}</strong>: todo o faturamento do ano é tributado como ME no Simples Nacional.`)}
+                            ${item('receipt', `Impostos estimados sobre ${fmt(sc.total)}: <strong>~${fmt(sc.tax)}</strong> (${(sc.rate * 100).toFixed(1)}%), menos ${fmt(sc.dasPaid)} de DAS-MEI já pagos = <strong>~${fmt(sc.difference)}</strong>.`)}
+                            ${item('calendar-clock', `Comunicar o desenquadramento até <strong>${day(sc.notifyBy)}</strong> (último dia do mês seguinte ao excesso).`)}
+                            ${item('alert-triangle', 'As guias dos meses já vencidos são cobradas com multa e juros.')}
+                        </ul>
+                    </div>`;
+            }
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Excesso de Faturamento ${year}</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto space-y-4">
+                    ${extra ? `<p class="text-xs text-blue-700 bg-blue-50 border border-blue-100 p-2 rounded-lg">Simulação incluindo a venda de ${fmt(extra)} (ainda não lançada).</p>` : ''}
+
+                    <div class="bg-white rounded-xl border border-gray-200 p-4 text-sm space-y-2">
+                        <p class="flex justify-between"><span class="text-gray-500">${account.name}</span> <span class="font-bold">${fmt(sc.total)}</span></p>
+                        <p class="flex justify-between"><span class="text-gray-500">Limite do ano</span> <span class="font-bold">${fmt(sc.limitSafe)}</span></p>
+                        <p class="flex justify-between"><span class="text-gray-500">Excesso${sc.safeMonth !== null ? ` (desde ${monthName(sc.safeMonth)})` : ''}</span> <span class="font-bold ${sc.excess > 0 ? 'text-red-600' : ''}">${fmt(sc.excess)} • ${sc.percent.toFixed(1)}%</span></p>
+                    </div>
+
+                    ${scenario}
+
+                    <p class="text-[10px] text-gray-400">Estimativa pela 1ª faixa do Simples Nacional (comércio 4%, indústria 4,5%, serviços 6%) ponderada pela natureza das entradas. Confirme os valores com um contador.</p>
+                </div>
+            `;
+        } else if (type === 'mei_history') {
+            const account = Store.data.accounts.find(a => a.id === arguments[1]);
+            if (!account) return;
+            const history = Store.getMeiHistory(account.id);
+
+            const color = h => h.status === 'critical' ? 'bg-red-600' : (h.status === 'warning' ? 'bg-orange-500' : 'bg-green-500');
+            const rows = history.map(h => `
+                <div class="bg-white p-4 rounded-xl border border-gray-200 mb-2">
+                    <div class="flex justify-between items-center mb-1">
+                        <span class="font-bold text-gray-800">${h.year}${h.proportional ? ` <span class="text-[10px] text-gray-400 font-medium">• ${h.months} meses</span>` : ''}</span>
+                        <span class="text-xs font-bold text-gray-700">${Store.formatCurrency(h.total)} <span class="text-gray-400 font-medium">/ ${Store.formatCurrency(h.limitSafe)}</span></span>
+                    </div>
+                    <div class="w-full bg-gray-100 rounded-full h-2 overflow-hidden mb-3">
+                        <div class="${color(h)} h-2 rounded-full" style="width: ${Math.min((h.total / h.limitMax) * 100, 100)}%"></div>
+                    </div>
+                    <div class="flex items-center gap-2">
+                        <label class="text-[10px] font-bold text-gray-400 uppercase flex-1">Faturamento antes do app</label>
+                        <input data-opening-year="${h.year}" type="number" step="0.01" value="${h.opening ? h.opening.toFixed(2) : ''}" placeholder="R$ 0,00" class="w-32 bg-gray-50 p-2 rounded-lg border border-gray-200 text-sm text-right">
+                    </div>
+                </div>
+            `).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Histórico • ${account.name}</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveOpeningRevenue(event, '${account.id}')" class="p-4 bg-gray-50/50 max-h-[80vh] overflow-y-auto">
+                    <p class="text-xs text-gray-500 mb-4">Faturamento de cada ano contra o limite do MEI. Informe o que foi faturado antes de começar a usar o app para o total ficar completo.</p>
+                    ${rows}
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg mt-2 shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+                </form>
+            `;
+        } else if (type === 'mei_limits') {
+            const years = Object.keys(Store.data.meiLimits).map(Number).sort((a, b) => a - b);
+            const meis = Store.data.accounts.filter(a => a.type === 'mei');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Limites do MEI</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveMeiLimits(event)" class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Limite Anual a partir de</label>
+                        <div id="limit-years" class="space-y-2 mt-1">
+                            ${years.map(y => ui.limitYearRow(y, Store.data.meiLimits[y])).join('')}
+                        </div>
+                        <div class="flex gap-2 mt-2">
+                            <input id="inp-limit-new-year" type="number" min="2009" max="2100" placeholder="Ano" class="w-24 bg-white p-2 rounded-lg border border-gray-200 text-sm">
+                            <button type="button" onclick="Actions.addMeiLimitYear()" class="bg-gray-100 text-gray-700 px-3 rounded-lg text-xs font-bold">+ Ano</button>
+                        </div>
+                        <p class="text-[10px] text-gray-400 mt-1">Cada valor vale até o próximo ano da lista. O limite mensal é 1/12 do anual e a tolerância é de 20%.</p>
+                    </div>
+
+                    ${meis.length > 0 ? `
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Data de Abertura</label>
+                        <div class="space-y-2 mt-1">
+                            ${meis.map(a => `
+                            <div class="flex items-center gap-2">
+                                <span class="flex-1 text-sm font-bold text-gray-600 truncate">${a.name}</span>
+                                <input data-opening-account="${a.id}" type="date" value="${a.openingDate || ''}" class="bg-white p-2 rounded-lg border border-gray-200 text-sm">
+                            </div>`).join('')}
+                        </div>
+                        <p class="text-[10px] text-gray-400 mt-1">No ano da abertura o limite é proporcional aos meses de atividade (o mês da abertura conta inteiro).</p>
+                    </div>` : ''}
+
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Faturamento Considerado</label>
+                        <select name="revenueBasis" class="w-full bg-white p-3 rounded-xl border border-gray-200 text-sm mt-1">
+                            <option value="billed" ${Store.data.revenueBasis !== 'received' ? 'selected' : ''}>Vendas (faturado, na data da venda)</option>
+                            <option value="received" ${Store.data.revenueBasis === 'received' ? 'selected' : ''}>Recebimentos (na data em que o dinheiro entrou)</option>
+                        </select>
+                        <p class="text-[10px] text-gray-400 mt-1">Vale para os limites, a projeção, o relatório mensal e o faturamento dos Relatórios. Entradas a receber só contam pelo que já foi recebido no critério de recebimentos.</p>
+                    </div>
+
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+                </form>
+            `;
+        } else if (type === 'das_config') {
+            const account = Store.data.accounts.find(a => a.id === arguments[1]);
+            if (!account) return;
+
+            const now = new Date();
+            const das = account.das || {
+                activity: 'services',
+                startMonth: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+                values: {}
+            };
+            const preview = { ...account, das };
+            const years = [...new Set([...Object.keys(das.values).map(Number), now.getFullYear()])].sort();
+            const activities = Object.entries(Store.dasActivities)
+                .map(([key, label]) => `<option value="${key}" ${key === das.activity ? 'selected' : ''}>${label}</option>`).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">DAS-MEI • ${account.name}</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.saveDasConfig(event, '${account.id}')" class="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Atividade</label>
+                        <select name="activity" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1">
+                            ${activities}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Primeira Competência</label>
+                        <input name="startMonth" type="month" value="${das.startMonth}" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1" required>
+                        <p class="text-[10px] text-gray-400 mt-1">Uma guia por mês a partir daqui, com vencimento no dia 20 do mês seguinte.</p>
+                    </div>
+
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Valor Mensal por Ano</label>
+                        <div id="das-years" class="space-y-2 mt-1">
+                            ${years.map(y => ui.dasYearRow(y, Store.getDasValue(preview, y))).join('')}
+                        </div>
+                        <div class="flex gap-2 mt-2">
+                            <input id="inp-das-new-year" type="number" min="2009" max="2100" placeholder="Ano" class="w-24 bg-white p-2 rounded-lg border border-gray-200 text-sm">
+                            <button type="button" onclick="Actions.addDasYear('${account.id}')" class="bg-gray-100 text-gray-700 px-3 rounded-lg text-xs font-bold">+ Ano</button>
+                        </div>
+                        <p class="text-[10px] text-gray-400 mt-1">O valor muda todo ano com o salário mínimo. Guias não pagas são atualizadas ao salvar.</p>
+                    </div>
+
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Salvar</button>
+                </form>
+            `;
+        } else if (type === 'das_list') {
+            const accountId = arguments[1];
+            const das = Store.getDasStatus(accountId);
+            if (!das) return;
+
+            const now = new Date();
+            const list = das.bills.length === 0
+                ? '<p class="text-center text-gray-400 py-8 italic">Nenhuma guia gerada.</p>'
+                : [...das.bills].reverse().map(t => {
+                    const overdue = !t.isPaid && new Date(t.dueDate) < now;
+                    return `
+                <div class="bg-white p-4 rounded-xl border ${t.isPaid ? 'border-green-200 bg-green-50/50' : (overdue ? 'border-red-200' : 'border-yellow-200')} flex justify-between items-center mb-2">
+                    <div class="flex items-center gap-3">
+                        <button onclick="Actions.toggleDasPaid('${t.id}', '${accountId}')" class="${t.isPaid ? 'text-green-500' : 'text-gray-300'}">
+                            <i data-lucide="${t.isPaid ? 'check-circle-2' : 'circle'}" class="w-7 h-7"></i>
+                        </button>
+                        <div>
+                            <p class="font-semibold ${t.isPaid ? 'text-gray-500 line-through' : 'text-gray-900'}">${Store.escapeHtml(t.description)}</p>
+                            <p class="text-xs ${overdue ? 'text-red-500 font-bold' : 'text-gray-400'}">${overdue ? 'Venceu' : 'Vence'}: ${new Date(t.dueDate).toLocaleDateString('pt-BR')}</p>
+                        </div>
+                    </div>
+                    <span class="font-bold text-gray-700">${Store.formatCurrency(t.amount)}</span>
+                </div>
+            `}).join('');
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Guias DAS-MEI</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 h-[70vh] overflow-y-auto">
+                    ${das.overdue.length > 0 ? `
+                    <div class="bg-red-50 p-4 rounded-xl border border-red-100 mb-4 text-center">
+                        <p class="text-xs uppercase font-bold text-red-400 mb-1">Total em Atraso (sem multa/juros)</p>
+                        <p class="font-bold text-red-600 text-2xl">${Store.formatCurrency(das.owed)}</p>
+                    </div>` : ''}
+                    ${list}
+                </div>
+            `;
+        } else if (type === 'dasn') {
+            const accountId = arguments[1];
+            const now = new Date();
+            // A declaração de um ano é entregue até 31/05 do ano seguinte
+            const year = parseInt(arguments[2]) || now.getFullYear() - 1;
+            const summary = Store.getDasnSummary(accountId, year);
+            if (!summary) return;
+
+            const years = [];
+            for (let y = now.getFullYear(); y >= now.getFullYear() - 5; y--) years.push(y);
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Declaração Anual (DASN-SIMEI)</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 h-[80vh] overflow-y-auto">
+                    <div class="flex gap-2 mb-4">
+                        <select onchange="ui.openModal('dasn', '${accountId}', this.value)" class="flex-1 bg-white border border-gray-200 rounded-lg p-2 text-sm font-medium">
+                            ${years.map(y => `<option value="${y}" ${y === year ? 'selected' : ''}>Ano-calendário ${y}</option>`).join('')}
+                        </select>
+                        <button onclick="Actions.exportDasnCsv('${accountId}', ${year})" class="bg-white border border-gray-200 text-gray-700 px-3 rounded-lg active:scale-95 transition-transform"><i data-lucide="file-spreadsheet" class="w-4 h-4"></i></button>
+                        <button onclick="Actions.printDasn('${accountId}', ${year})" class="bg-blue-600 text-white px-3 rounded-lg active:scale-95 transition-transform"><i data-lucide="printer" class="w-4 h-4"></i></button>
+                    </div>
+
+                    <label class="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200 mb-4">
+                        <span class="font-medium text-gray-700 text-sm">Teve empregado contratado em ${year}?</span>
+                        <input type="checkbox" ${summary.hadEmployee ? 'checked' : ''} onchange="Actions.setDasnEmployee('${accountId}', ${year}, this.checked)" class="w-6 h-6 rounded accent-blue-500 cursor-pointer">
+                    </label>
+
+                    ${summary.warnings.length > 0 ? `
+                    <div class="bg-orange-50 p-3 rounded-xl border border-orange-100 text-xs text-orange-700 mb-4 space-y-1">
+                        ${summary.warnings.map(w => `<p class="flex gap-2"><i data-lucide="alert-triangle" class="w-3.5 h-3.5 shrink-0 mt-0.5"></i> ${w}</p>`).join('')}
+                    </div>` : ''}
+
+                    <div class="rounded-xl border border-gray-200 overflow-hidden shadow-sm">
+                        ${Views.dasnSummary(accountId, year)}
+                    </div>
+                </div>
+            `;
+        } else if (type === 'revenue_report') {
+            const accountId = arguments[1];
+            const now = new Date();
+            const monthStr = arguments[2] || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+            const [year, month] = monthStr.split('-').map(Number);
+            const { unclassified, companyWithoutInvoice } = Store.getMonthlyRevenue(accountId, year, month - 1);
+
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Relatório Mensal</h3>
                     <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
                 </div>
-    <div class="p-6 bg-gray-50/50 h-[80vh] overflow-y-auto">
-        <div class="space-y-6">
-
-            <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
-                <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="briefcase" class="w-4 h-4"></i> Trabalho</h4>
-                <p class="text-sm text-gray-600 leading-relaxed">
-                    Use esta aba para o <strong>dia a dia</strong>. Lance suas vendas (entradas) e custos operacionais (gasolina, mercadoria, etc).
-                    <br><br>
-                        Aqui você acompanha seu <strong>Saldo do Dia</strong> para saber exatamente quanto ganhou líquido hoje.
-                    </p>
+                <div class="p-4 bg-gray-50/50 h-[80vh] overflow-y-auto">
+                    <div class="flex gap-2 mb-4">
+                        <input id="inp-revenue-month" type="month" value="${monthStr}" onchange="ui.openModal('revenue_report', '${accountId}', this.value)" class="flex-1 bg-white border border-gray-200 rounded-lg p-2 text-sm font-medium focus:border-blue-500 outline-none">
+                        <button onclick="Actions.printRevenueReport('${accountId}', '${monthStr}')" class="bg-blue-600 text-white px-4 rounded-lg text-sm font-bold flex items-center gap-2 active:scale-95 transition-transform"><i data-lucide="printer" class="w-4 h-4"></i> Imprimir / PDF</button>
                     </div>
 
-                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
-                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="building-2" class="w-4 h-4"></i> Contas (MEI)</h4>
-                        <p class="text-sm text-gray-600 leading-relaxed">
-                            Gerencie suas contas MEI. O sistema monitora dois limites importantes para você não estourar:
-                            <ul class="list-disc pl-4 mt-2 space-y-1">
-                                <li><strong>Limite Anual (R$ 81k)</strong>: O teto obrigatório do MEI.</li>
-                                <li><strong>Limite Mensal (R$ 6.75k)</strong>: Uma referência para você manter a média segura e não ultrapassar o anual.</li>
-                            </ul>
+                    ${unclassified > 0 ? `
+                    <div class="bg-orange-50 p-3 rounded-xl border border-orange-100 text-xs text-orange-700 mb-4">
+                        ${unclassified} entrada(s) sem natureza informada foram somadas em <strong>Prestação de serviços</strong>.
+                    </div>` : ''}
+                    ${companyWithoutInvoice > 0 ? `
+                    <div class="bg-red-50 p-3 rounded-xl border border-red-100 text-xs text-red-700 mb-4">
+                        ${companyWithoutInvoice} venda(s) para empresas (CNPJ) sem nota fiscal. O MEI é obrigado a emitir nota quando o cliente é pessoa jurídica.
+                    </div>` : ''}
+
+                    <div class="rounded-xl border border-gray-200 overflow-hidden shadow-sm">
+                        ${Views.revenueReport(accountId, monthStr)}
+                    </div>
+                </div>
+            `;
+        } else if (type === 'statement_import') {
+            const state = Actions.statementImport;
+            if (!state) return;
+
+            const accounts = Store.getActiveAccounts().map(a => `<option value="${a.id}" ${a.id === state.accountId ? 'selected' : ''}>${a.name}</option>`).join('');
+            const cats = [...new Set([...Store.data.customCategories, 'Outros'])]
+                .map(c => `<option value="${c}" ${c === state.category ? 'selected' : ''}>${c}</option>`).join('');
+            const selectedCount = state.entries.filter(entry => entry.selected).length;
+            const duplicateCount = state.entries.filter(entry => entry.duplicate).length;
+
+            const list = state.entries.map((entry, i) => `
+                <label class="bg-white p-3 rounded-xl border ${entry.duplicate ? 'border-orange-200 bg-orange-50/30' : 'border-gray-100'} flex items-center gap-3 mb-2 shadow-sm">
+                    <input type="checkbox" ${entry.selected ? 'checked' : ''} onchange="Actions.toggleStatementEntry(${i}, this.checked)" class="w-5 h-5 rounded accent-blue-500 shrink-0">
+                    <div class="flex-1 min-w-0">
+                        <p class="font-semibold text-gray-800 text-sm truncate">${Store.escapeHtml(entry.description || (entry.type === 'income' ? 'Crédito' : 'Débito'))}</p>
+                        <p class="text-xs text-gray-400">${new Date(entry.date).toLocaleDateString('pt-BR')}
+                            ${entry.duplicate ? '<span class="ml-1 px-1.5 py-0.5 rounded bg-orange-100 text-orange-600 text-[10px] font-bold">Possível duplicado</span>' : ''}
                         </p>
                     </div>
+                    <span class="font-bold text-sm whitespace-nowrap ${entry.type === 'income' ? 'text-green-600' : 'text-red-500'}">
+                        ${entry.type === 'income' ? '+' : '-'}${Store.formatCurrency(entry.amount)}
+                    </span>
+                </label>
+            `).join('');
 
-                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
-                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="home" class="w-4 h-4"></i> Casa</h4>
-                        <p class="text-sm text-gray-600 leading-relaxed">
-                            Controle suas <strong>despesas fixas pessoais</strong> (Aluguel, Luz, Internet).
-                            Isso ajuda a separar o custo da empresa do custo de vida pessoal.
-                        </p>
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Importar Extrato</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-4 bg-gray-50/50 h-[80vh] overflow-y-auto">
+                    <p class="text-xs text-gray-500 mb-3 flex items-center gap-2"><i data-lucide="file-text" class="w-4 h-4"></i> ${Store.escapeHtml(state.fileName)} • ${state.entries.length} lançamentos</p>
+
+                    <div class="grid grid-cols-2 gap-3 mb-4">
+                        <div>
+                            <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Conta</label>
+                            <select onchange="Actions.setStatementAccount(this.value)" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 text-sm">
+                                ${accounts}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Categoria (Saídas)</label>
+                            <select onchange="Actions.setStatementCategory(this.value)" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 text-sm">
+                                ${cats}
+                            </select>
+                        </div>
                     </div>
 
-                    <div class="bg-white p-4 rounded-xl shadow-sm border border-gray-100">
-                        <h4 class="font-bold text-blue-600 flex items-center gap-2 mb-2"><i data-lucide="bar-chart-3" class="w-4 h-4"></i> Relatórios</h4>
-                        <p class="text-sm text-gray-600 leading-relaxed">
-                            A visão geral do seu negócio.
-                            <ul class="list-disc pl-4 mt-2 space-y-1">
-                                <li><strong>Lucro Líquido</strong>: O que sobrou do trabalho.</li>
-                                <li><strong>Saldo Livre</strong>: Lucro do trabalho MENOS os custos de casa. É o dinheiro que realmente sobra para você.</li>
-                            </ul>
-                        </p>
+                    <div class="bg-blue-50 p-3 rounded-xl border border-blue-100 text-xs text-blue-700 mb-4">
+                        Créditos viram <strong>Entradas</strong> e débitos viram <strong>Despesas</strong> do Trabalho.
+                        ${duplicateCount > 0 ? `<br><strong class="text-orange-600">${duplicateCount} possíveis duplicados</strong> (mesma data, valor e conta) foram desmarcados.` : ''}
                     </div>
 
-            </div>
-            <button onclick="ui.openModal('settings')" class="w-full bg-gray-200 text-gray-700 py-3 rounded-xl font-bold text-sm mt-6">Voltar</button>
-        </div>
-        `;
-        } else if (type === 'settings') {
+                    ${list}
+
+                    <button onclick="Actions.commitStatementImport()" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg mt-4 shadow-lg shadow-blue-200 active:scale-95 transition-transform">
+                        Importar <span id="statement-count">${selectedCount}</span> lançamentos
+                    </button>
+                </div>
+            `;
+        } else if (type === 'report_export') {
+            const { reportStartDate, reportEndDate } = Store.data;
+            const count = Store.getReportTransactions().length;
+
             content.innerHTML = `
                 <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
-                    <h3 class="font-bold">Configurações</h3>
+                    <h3 class="font-bold">Exportar Planilha</h3>
                     <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
                 </div>
                 <div class="p-6 bg-gray-50/50">
-                    <h4 class="text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Ajuda & Dados</h4>
+                    <div class="mb-4 text-center text-xs text-gray-400 font-medium bg-white py-2 rounded-lg border border-gray-100">
+                        ${new Date(reportStartDate).toLocaleDateString('pt-BR')} até ${new Date(reportEndDate).toLocaleDateString('pt-BR')} • ${count} lançamentos
+                    </div>
                     <div class="space-y-3">
-                         <button onclick="ui.openModal('recurring_list')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
-                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
-                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="calendar-clock" class="text-blue-500"></i> Gerenciar Recorrentes</span>
-                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
-                        </button>
-
-                         <button onclick="ui.openModal('manual')" class="w-full flex items-center justify-between bg-white border border-blue-100 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm relative overflow-hidden group">
-                             <div class="absolute inset-0 bg-blue-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
-                            <span class="flex items-center gap-3 relative z-10"><i data-lucide="book-open" class="text-blue-500"></i> Manual de Uso</span>
-                            <i data-lucide="chevron-right" class="text-blue-300 w-4 h-4 relative z-10"></i>
+                        <button onclick="Actions.exportReportCsv('transactions')" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                            <span class="flex items-center gap-3"><i data-lucide="list" class="text-green-600"></i> Lançamentos (.csv)</span>
+                            <i data-lucide="download" class="text-gray-300 w-4 h-4"></i>
                         </button>
-                    
-                         <button onclick="Actions.downloadBackup()" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
-                            <span class="flex items-center gap-3"><i data-lucide="download" class="text-gray-500"></i> Baixar Backup</span>
-                            <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
+                        <button onclick="Actions.exportReportCsv('categories')" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
+                            <span class="flex items-center gap-3"><i data-lucide="pie-chart" class="text-green-600"></i> Totais por Categoria (.csv)</span>
+                            <i data-lucide="download" class="text-gray-300 w-4 h-4"></i>
                         </button>
-                        
-                        <div class="relative">
-                            <input onchange="Actions.processUpload(event)" type="file" id="file-upload" accept=".json" class="hidden">
-                            <button onclick="Actions.triggerUpload()" class="w-full flex items-center justify-between bg-white border border-gray-200 p-4 rounded-xl font-medium active:scale-95 transition-transform shadow-sm">
-                                <span class="flex items-center gap-3"><i data-lucide="upload" class="text-gray-500"></i> Restaurar Backup</span>
-                                <i data-lucide="chevron-right" class="text-gray-300 w-4 h-4"></i>
-                            </button>
+                    </div>
+                    <p class="text-xs text-gray-400 mt-4 text-center">Formato Excel pt-BR: separador ";" e vírgula decimal.</p>
+                </div>
+            `;
+        } else if (type === 'backup_export') {
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Baixar Backup</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.downloadBackup(event)" class="p-6 space-y-4">
+                    <div class="bg-blue-50 p-4 rounded-xl border border-blue-100 flex items-start gap-3">
+                        <i data-lucide="lock" class="text-blue-500 w-5 h-5 mt-0.5"></i>
+                        <p class="text-xs text-blue-700">O backup contém CNPJ, contas e todo o histórico financeiro. Defina uma senha para criptografar o arquivo (<strong>.sinsert</strong>). Sem a senha não será possível restaurá-lo.</p>
+                    </div>
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Senha (Opcional)</label>
+                        <input id="inp-backup-pass" type="password" autocomplete="new-password" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 outline-none focus:border-blue-500" placeholder="Deixe em branco para baixar sem senha">
+                    </div>
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Confirmar Senha</label>
+                        <input id="inp-backup-pass-confirm" type="password" autocomplete="new-password" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 outline-none focus:border-blue-500">
+                    </div>
+                    <label class="flex items-start justify-between gap-3 p-4 bg-white rounded-xl border border-gray-200">
+                        <span>
+                            <span class="font-medium text-gray-700 text-sm block">Backup completo (.zip)</span>
+                            <span class="text-xs text-gray-400">Inclui as fotos e PDFs dos comprovantes junto do JSON. Com senha, o arquivo sai como .sinsert.</span>
+                        </span>
+                        <input id="inp-backup-full" type="checkbox" class="w-6 h-6 rounded accent-blue-500 cursor-pointer shrink-0">
+                    </label>
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Baixar Backup</button>
+                </form>
+            `;
+        } else if (type === 'backup_password') {
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Backup Protegido</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <form onsubmit="Actions.unlockBackup(event)" class="p-6 space-y-4">
+                    <div class="bg-gray-50 p-4 rounded-xl border border-gray-100 flex items-start gap-3">
+                        <i data-lucide="lock" class="text-gray-500 w-5 h-5 mt-0.5"></i>
+                        <p class="text-xs text-gray-600">Este arquivo está criptografado. Digite a senha usada ao baixar o backup.</p>
+                    </div>
+                    <div>
+                        <label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Senha</label>
+                        <input id="inp-unlock-pass" type="password" autocomplete="current-password" class="w-full bg-white p-3 rounded-xl border border-gray-200 mt-1 outline-none focus:border-blue-500" autoFocus required>
+                    </div>
+                    <p id="unlock-error" class="hidden text-sm font-medium text-red-600 bg-red-50 border border-red-100 p-3 rounded-xl"></p>
+                    <button type="submit" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Abrir Backup</button>
+                </form>
+            `;
+        } else if (type === 'import_preview') {
+            const data = Actions.importData;
+            if (!data) return;
+
+            const plan = Store.planMerge(data);
+            const labels = { transactions: 'Transações', accounts: 'Contas', recurring: 'Recorrentes', trash: 'Lixeira', cards: 'Cartões', clients: 'Clientes' };
+            const rows = DB.collections.map(name => `
+                <div class="bg-white p-4 rounded-xl border border-gray-100 shadow-sm">
+                    <p class="font-bold text-gray-800 mb-2">${labels[name]}</p>
+                    <div class="grid grid-cols-3 gap-2 text-center">
+                        <div class="bg-green-50 rounded-lg py-2">
+                            <span class="block text-lg font-bold text-green-600">${plan[name].added.length}</span>
+                            <span class="text-[10px] font-bold text-green-700 uppercase">Novos</span>
+                        </div>
+                        <div class="bg-blue-50 rounded-lg py-2">
+                            <span class="block text-lg font-bold text-blue-600">${plan[name].updated.length}</span>
+                            <span class="text-[10px] font-bold text-blue-700 uppercase">Atualizados</span>
                         </div>
+                        <div class="bg-gray-50 rounded-lg py-2">
+                            <span class="block text-lg font-bold text-gray-500">${plan[name].skipped}</span>
+                            <span class="text-[10px] font-bold text-gray-500 uppercase">Ignorados</span>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
 
-                        <button onclick="ui.openModal('reset_confirm')" class="w-full flex items-center justify-between bg-white border border-red-100 p-4 rounded-xl font-medium mt-4 text-red-600 active:bg-red-50 active:scale-95 transition-transform shadow-sm">
-                            <span class="flex items-center gap-3"><i data-lucide="trash-2"></i> Resetar Aplicativo</span>
-                            <i data-lucide="alert-triangle" class="w-4 h-4"></i>
-                        </button>
+            content.innerHTML = `
+                <div class="bg-white px-4 py-3 flex justify-between items-center border-b sticky top-0">
+                    <h3 class="font-bold">Importar Backup</h3>
+                    <button onclick="ui.closeModal()" class="bg-gray-100 p-1 rounded-full"><i data-lucide="x" class="w-5 h-5"></i></button>
+                </div>
+                <div class="p-6 bg-gray-50/50 max-h-[80vh] overflow-y-auto">
+                    <div class="bg-blue-50 p-4 rounded-xl border border-blue-100 flex items-start gap-3 mb-4">
+                        <i data-lucide="git-merge" class="text-blue-500 w-5 h-5 mt-0.5"></i>
+                        <p class="text-xs text-blue-700">Ao <strong>mesclar</strong>, registros novos são adicionados e registros existentes só são trocados quando a versão do backup é mais recente. Nada deste aparelho é apagado.</p>
                     </div>
-                    
-                    <div class="mt-8 text-center">
-                        <p class="text-xs text-gray-400 font-mono">Safe-Insert Alpha 1.0.0</p>
+
+                    <div class="space-y-3">
+                        ${rows}
+                    </div>
+                    ${Actions.importFiles ? `<p class="text-xs text-gray-500 mt-3 flex items-center gap-2"><i data-lucide="paperclip" class="w-4 h-4"></i> ${Actions.importFiles.length} anexo(s) no backup completo.</p>` : ''}
+
+                    <div class="space-y-3 mt-6">
+                        <button onclick="Actions.confirmImport('merge')" class="w-full bg-blue-600 text-white p-4 rounded-xl font-bold text-lg shadow-lg shadow-blue-200 active:scale-95 transition-transform">Mesclar</button>
+                        <button onclick="Actions.confirmImport('replace')" class="w-full bg-white border border-red-100 text-red-600 p-4 rounded-xl font-bold active:bg-red-50 active:scale-95 transition-transform">Substituir Tudo</button>
+                        <button onclick="Actions.cancelImport()" class="w-full bg-white border border-gray-200 text-gray-700 p-4 rounded-xl font-bold active:scale-95 transition-transform">Cancelar</button>
                     </div>
                 </div>
             `;
@@ -1525,14 +6148,394 @@ const ui = {
     closeModal(e) {
         if (e && e.target.id !== 'modal-overlay') return;
         document.getElementById('modal-overlay').classList.add('hidden');
+    },
+
+    // Câmera / arquivo (Actions.addAttachmentFiles). Sem transactionId é um formulário de criação:
+    // os arquivos esperam em Actions.pendingAttachments até o lançamento existir
+    attachmentPicker(transactionId = '') {
+        if (!transactionId) Actions.pendingAttachments = [];
+        const t = transactionId ? Store.data.transactions.find(item => item.id === transactionId) : null;
+        const button = 'flex items-center justify-center gap-2 bg-white border border-gray-200 text-gray-600 p-3 rounded-xl text-sm font-medium cursor-pointer active:scale-95 transition-transform';
+        return `
+            <div>
+                <label class="text-sm font-medium">Comprovantes</label>
+                <div id="attach-list" class="flex flex-wrap gap-2 mt-1">${t ? this.attachmentItems(t.attachments || [], t.id) : ''}</div>
+                <div class="grid grid-cols-2 gap-2 mt-2">
+                    <label class="${button}"><i data-lucide="camera" class="w-4 h-4"></i> Foto
+                        <input type="file" accept="image/*" capture="environment" onchange="Actions.addAttachmentFiles(event, '${transactionId}')" class="hidden">
+                    </label>
+                    <label class="${button}"><i data-lucide="paperclip" class="w-4 h-4"></i> Arquivo
+                        <input type="file" accept="image/*,application/pdf" multiple onchange="Actions.addAttachmentFiles(event, '${transactionId}')" class="hidden">
+                    </label>
+                </div>
+            </div>
+        `;
+    },
+
+    // Miniaturas com botão de remover; com transactionId abrem o visualizador
+    attachmentItems(list, transactionId = '') {
+        return list.map((a, i) => `
+            <div class="relative w-16 h-16 rounded-lg overflow-hidden border border-gray-200 bg-white">
+                <button type="button" ${transactionId ? `onclick="ui.openViewer('${transactionId}', ${i})"` : ''} class="w-full h-full flex flex-col items-center justify-center">
+                    ${a.thumb ? `<img src="${a.thumb}" class="w-full h-full object-cover">` : `<i data-lucide="file-text" class="w-5 h-5 text-gray-400"></i><span class="text-[9px] text-gray-500 px-1 truncate w-full text-center">${a.name}</span>`}
+                </button>
+                <button type="button" onclick="${transactionId ? `Actions.removeAttachment('${transactionId}', '${a.id}')` : `Actions.removePendingAttachment(${i})`}" class="absolute top-0.5 right-0.5 bg-black/60 text-white rounded-full p-0.5"><i data-lucide="x" class="w-3 h-3"></i></button>
+            </div>
+        `).join('');
+    },
+
+    // Miniatura do primeiro anexo (e quantos são) nas listas
+    attachmentBadge(t) {
+        if (!t.attachments || t.attachments.length === 0) return '';
+        const first = t.attachments[0];
+        return `
+            <button onclick="ui.openViewer('${t.id}', 0)" class="relative w-9 h-9 rounded-lg overflow-hidden border border-gray-200 bg-gray-50 flex items-center justify-center shrink-0">
+                ${first.thumb ? `<img src="${first.thumb}" class="w-full h-full object-cover">` : '<i data-lucide="file-text" class="w-4 h-4 text-gray-400"></i>'}
+                ${t.attachments.length > 1 ? `<span class="absolute bottom-0 right-0 bg-black/60 text-white text-[9px] font-bold px-1 rounded-tl">${t.attachments.length}</span>` : ''}
+            </button>`;
+    },
+
+    // Visualizador em tela cheia; o arquivo só é lido do IndexedDB ao abrir
+    viewerUrl: null,
+
+    async openViewer(transactionId, index = 0) {
+        const t = Store.data.transactions.find(item => item.id === transactionId);
+        const meta = t && t.attachments ? t.attachments[index] : null;
+        if (!meta) return;
+
+        const record = await DB.getFile(meta.id);
+        if (this.viewerUrl) URL.revokeObjectURL(this.viewerUrl);
+        this.viewerUrl = record ? URL.createObjectURL(record.blob) : null;
+
+        const total = t.attachments.length;
+        const nav = (step, icon) => total > 1
+            ? `<button onclick="ui.openViewer('${t.id}', ${(index + step + total) % total})" class="p-3 bg-white/10 rounded-full text-white"><i data-lucide="${icon}" class="w-6 h-6"></i></button>`
+            : '<span></span>';
+        let body = '<p class="text-gray-300 text-sm text-center px-8">Arquivo não encontrado neste aparelho. Restaure o backup completo (.zip) para trazer os anexos.</p>';
+        if (record && meta.type === 'application/pdf') body = `<iframe src="${this.viewerUrl}" title="${meta.name}" class="w-full h-full bg-white"></iframe>`;
+        else if (record) body = `<img src="${this.viewerUrl}" alt="${meta.name}" class="max-w-full max-h-full object-contain">`;
+
+        const viewer = document.getElementById('viewer');
+        viewer.innerHTML = `
+            <div class="flex items-center justify-between gap-2 px-4 pt-[calc(env(safe-area-inset-top)+1.75rem)] pb-2 text-white">
+                <span class="text-sm truncate">${meta.name} <span class="text-gray-400">(${index + 1}/${total})</span></span>
+                <div class="flex items-center gap-1 shrink-0">
+                    ${this.viewerUrl ? `<a href="${this.viewerUrl}" download="${meta.name}" class="p-2"><i data-lucide="download" class="w-5 h-5"></i></a>` : ''}
+                    <button onclick="ui.closeViewer()" class="p-2"><i data-lucide="x" class="w-6 h-6"></i></button>
+                </div>
+            </div>
+            <div class="flex-1 min-h-0 flex items-center justify-center">${body}</div>
+            <div class="flex justify-between items-center px-4 pt-2 pb-[calc(env(safe-area-inset-bottom)+1rem)]">${nav(-1, 'chevron-left')}${nav(1, 'chevron-right')}</div>
+        `;
+        viewer.classList.remove('hidden');
+        lucide.createIcons();
+    },
+
+    closeViewer() {
+        document.getElementById('viewer').classList.add('hidden');
+        document.getElementById('viewer').innerHTML = '';
+        if (this.viewerUrl) URL.revokeObjectURL(this.viewerUrl);
+        this.viewerUrl = null;
+    },
+
+    dasYearRow(year, value) {
+        return `
+            <div class="flex items-center gap-2">
+                <span class="w-16 text-sm font-bold text-gray-600">${year}</span>
+                <input data-das-year="${year}" type="number" step="0.01" value="${value.toFixed(2)}" class="flex-1 bg-white p-2 rounded-lg border border-gray-200 text-sm">
+            </div>
+        `;
+    },
+
+    // Opções do seletor de cliente (vazio = sem cliente)
+    clientOptions(selected = '') {
+        return `<option value="">Sem cliente / consumidor final</option>` + [...Store.data.clients]
+            .sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'))
+            .map(c => `<option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${c.name}${Store.getClientKind(c) === 'pj' ? ' (CNPJ)' : ''}</option>`).join('');
+    },
+
+    // Campos do cliente (lidos por Actions.readClientFields)
+    clientFields(client) {
+        const inputClass = 'w-full bg-white p-2 rounded-lg border border-gray-200 text-sm outline-none focus:border-blue-500';
+        return `
+            <input data-client="name" type="text" value="${client.name || ''}" placeholder="Nome" class="${inputClass}">
+            <div class="grid grid-cols-2 gap-2">
+                <input data-client="document" type="text" inputmode="numeric" value="${client.document || ''}" placeholder="CPF ou CNPJ" class="${inputClass}">
+                <input data-client="phone" type="tel" value="${client.phone || ''}" placeholder="Telefone" class="${inputClass}">
+            </div>
+        `;
+    },
+
+    // Campos do cartão (lidos por Actions.saveCard via form.elements)
+    cardFields(card) {
+        const inputClass = 'w-full bg-gray-50 p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-purple-500';
+        return `
+            <input name="name" type="text" value="${card.name || ''}" placeholder="Nome (ex: Nubank)" class="${inputClass}" required>
+            <div class="grid grid-cols-3 gap-2">
+                <label class="text-[10px] font-bold text-gray-400 uppercase">Fechamento<input name="closingDay" type="number" min="1" max="31" value="${card.closingDay || ''}" placeholder="Dia" class="${inputClass} mt-1" required></label>
+                <label class="text-[10px] font-bold text-gray-400 uppercase">Vencimento<input name="dueDay" type="number" min="1" max="31" value="${card.dueDay || ''}" placeholder="Dia" class="${inputClass} mt-1" required></label>
+                <label class="text-[10px] font-bold text-gray-400 uppercase">Limite<input name="limit" type="number" step="0.01" value="${card.limit || ''}" placeholder="0,00" class="${inputClass} mt-1"></label>
+            </div>
+        `;
+    },
+
+    // Campos de frequência das recorrentes (lidos por Actions.readRecurrenceFields)
+    recurrenceFields(rule) {
+        const frequency = rule.frequency || 'monthly';
+        const inputClass = 'w-full bg-gray-50 p-3 rounded-xl border border-gray-200 text-sm outline-none focus:border-blue-500';
+        const label = text => `<label class="text-[10px] font-bold text-gray-400 uppercase tracking-widest block mb-1">${text}</label>`;
+
+        return `
+            <div class="space-y-3">
+                <div class="grid grid-cols-2 gap-3">
+                    <div>
+                        ${label('Frequência')}
+                        <select id="inp-rec-frequency" onchange="Actions.setRecurrenceFrequency(this.value)" class="${inputClass}">
+                            ${Object.entries(Store.recurrenceFrequencies).map(([key, text]) => `<option value="${key}" ${key === frequency ? 'selected' : ''}>${text}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div id="box-rec-interval" class="${frequency === 'monthly' ? '' : 'hidden'}">
+                        ${label('A cada (meses)')}
+                        <input id="inp-rec-interval" type="number" min="1" max="60" value="${rule.interval || 1}" class="${inputClass}">
+                    </div>
+                </div>
+                <div>
+                    ${label('Primeiro Vencimento')}
+                    <input id="inp-rec-start" type="date" value="${rule.startDate || ''}" class="${inputClass}">
+                </div>
+                <div class="grid grid-cols-2 gap-3">
+                    <div>
+                        ${label('Termina em (opcional)')}
+                        <input id="inp-rec-end" type="date" value="${rule.endDate || ''}" class="${inputClass}">
+                    </div>
+                    <div>
+                        ${label('Ou após (vezes)')}
+                        <input id="inp-rec-count" type="number" min="1" value="${rule.count || ''}" placeholder="Sem limite" class="${inputClass}">
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    describeRecurrence(rule) {
+        const start = rule.startDate ? new Date(rule.startDate + 'T12:00:00') : null;
+        let text;
+        if (rule.frequency === 'weekly' || rule.frequency === 'biweekly') {
+            const weekday = start ? start.toLocaleDateString('pt-BR', { weekday: 'long' }) : '';
+            text = `${rule.frequency === 'weekly' ? 'Toda semana' : 'A cada 2 semanas'}${weekday ? ` (${weekday})` : ''}`;
+        } else if (rule.frequency === 'yearly') {
+            text = `Todo ano em ${String(rule.day).padStart(2, '0')}/${start ? String(start.getMonth() + 1).padStart(2, '0') : '--'}`;
+        } else if ((rule.interval || 1) > 1) {
+            text = `A cada ${rule.interval} meses, dia ${rule.day}`;
+        } else {
+            text = `Todo dia ${rule.day}`;
+        }
+
+        if (rule.endDate) text += ` • até ${new Date(rule.endDate + 'T12:00:00').toLocaleDateString('pt-BR')}`;
+        if (rule.count) text += ` • ${rule.count}x`;
+        return text;
+    },
+
+    // Nomes e formatação dos campos no histórico de alterações
+    historyLabels: {
+        amount: 'Valor',
+        date: 'Data',
+        accountId: 'Conta',
+        toAccountId: 'Destino',
+        category: 'Categoria',
+        description: 'Descrição',
+        revenueType: 'Natureza',
+        clientId: 'Cliente',
+        hasInvoice: 'Nota fiscal',
+        isPaid: 'Pago',
+        isReminder: 'Lembrete',
+        isPending: 'A receber',
+        expectedDate: 'Previsão',
+        payments: 'Recebido'
+    },
+
+    historyValue(key, value) {
+        if (value === undefined || value === null || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+        if (key === 'amount') return Store.formatCurrency(value);
+        if (key === 'payments') return Store.formatCurrency(value.reduce((acc, p) => acc + p.amount, 0));
+        if (key === 'date' || key === 'dueDate') return new Date(value).toLocaleDateString('pt-BR');
+        if (key === 'expectedDate') return new Date(value + 'T12:00:00').toLocaleDateString('pt-BR');
+        if (key === 'accountId' || key === 'toAccountId') {
+            const account = Store.data.accounts.find(a => a.id === value);
+            return account ? account.name : '(conta removida)';
+        }
+        if (key === 'revenueType') return Store.revenueTypes[value] || value;
+        if (key === 'clientId') {
+            const client = Store.data.clients.find(c => c.id === value);
+            return client ? client.name : '(cliente removido)';
+        }
+        return value;
+    },
+
+    limitYearRow(year, value) {
+        return `
+            <div class="flex items-center gap-2">
+                <span class="w-16 text-sm font-bold text-gray-600">${year}</span>
+                <input data-limit-year="${year}" type="number" step="0.01" value="${value.toFixed(2)}" class="flex-1 bg-white p-2 rounded-lg border border-gray-200 text-sm">
+            </div>
+        `;
+    },
+
+    // Toast: action = { label, run } opcional; duration 0 mantém o aviso até o usuário agir
+    toastAction: null,
+    toastTimer: null,
+
+    showToast(message, action = null, duration = 4000) {
+        const toast = document.getElementById('toast');
+        this.toastAction = action ? action.run : null;
+        toast.innerHTML = `
+            <span class="text-sm font-medium">${message}</span>
+            ${action ? `<button onclick="ui.runToastAction()" class="text-blue-300 font-bold text-sm whitespace-nowrap active:scale-95 transition-transform">${action.label}</button>` : ''}
+        `;
+        toast.classList.remove('hidden');
+
+        clearTimeout(this.toastTimer);
+        if (duration) this.toastTimer = setTimeout(() => this.hideToast(), duration);
+    },
+
+    runToastAction() {
+        const run = this.toastAction;
+        this.hideToast();
+        if (run) run();
+    },
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        this.toastAction = null;
+        document.getElementById('toast').classList.add('hidden');
+    }
+};
+
+// ==========================================
+// PWA (Service Worker & Atualizações)
+// ==========================================
+const pwa = {
+    version: APP_VERSION, // Substituída pela versão do worker ativo (a que está realmente em cache)
+    alertTimer: null,
+
+    init() {
+        this.renderVersion(this.version);
+
+        // Service workers não funcionam abrindo o index.html direto do disco
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        const sw = navigator.serviceWorker;
+        const hadController = !!sw.controller;
+
+        sw.addEventListener('message', e => {
+            if (e.data && e.data.type === 'VERSION') this.renderVersion(e.data.version);
+            if (e.data && e.data.type === 'NOTIFICATION_ACTION') Actions.openDueAlert(e.data.action, e.data.data);
+            if (e.data && e.data.type === 'ALERT_LOG') this.saveAlertLog(e.data.log);
+        });
+
+        sw.addEventListener('controllerchange', () => {
+            // Primeira instalação: o worker só assume a página, nada para recarregar
+            if (!hadController) {
+                this.requestVersion();
+                return;
+            }
+            window.location.reload();
+        });
+
+        sw.register('sw.js').then(reg => {
+            // Versão baixada em uma visita anterior e ainda aguardando
+            if (reg.waiting && sw.controller) this.promptUpdate(reg.waiting);
+
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && sw.controller) this.promptUpdate(worker);
+                });
+            });
+
+            this.registerAlertSync(reg);
+        }).catch(err => console.error('Falha ao registrar o service worker:', err));
+
+        this.requestVersion();
+        this.syncAlerts();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.syncAlerts();
+        });
+    },
+
+    // Avisos de vencimento: a página calcula a agenda (Store.getDueAlerts) e o service worker mostra as notificações
+    alertsEnabled() {
+        return Store.data.notifications.enabled && 'Notification' in window && Notification.permission === 'granted' &&
+            'serviceWorker' in navigator && location.protocol !== 'file:';
+    },
+
+    // Com o app fechado, o navegador acorda o worker de tempos em tempos (Chrome com o app instalado)
+    registerAlertSync(reg) {
+        if (!this.alertsEnabled() || !reg.periodicSync) return;
+        reg.periodicSync.register('due-alerts', { minInterval: 12 * 60 * 60 * 1000 })
+            .catch(err => console.warn('Sincronização periódica indisponível:', err));
+    },
+
+    scheduleAlertSync() {
+        clearTimeout(this.alertTimer);
+        this.alertTimer = setTimeout(() => this.syncAlerts(), 2000);
+    },
+
+    syncAlerts() {
+        if (!this.alertsEnabled()) return;
+
+        // Agenda salva para o worker ler quando o app estiver fechado (fica fora dos backups)
+        const schedule = Store.getDueAlerts();
+        DB.commit([{ type: 'put', store: 'meta', value: { key: 'alertSchedule', value: schedule } }], Store.data)
+            .catch(err => console.error('Erro ao salvar avisos:', err));
+
+        // Sem IndexedDB o worker não lê o localStorage: o registro de avisos já mostrados vai e volta pela mensagem
+        const log = DB.idb ? undefined : this.loadAlertLog();
+        navigator.serviceWorker.ready.then(reg => {
+            if (reg.active) reg.active.postMessage({ type: 'CHECK_ALERTS', schedule, log });
+        });
+    },
+
+    loadAlertLog() {
+        try {
+            return JSON.parse(localStorage.getItem(DB.legacyPrefix + 'alertLog')) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    saveAlertLog(log) {
+        DB.commit([{ type: 'put', store: 'meta', value: { key: 'alertLog', value: log } }], Store.data)
+            .catch(err => console.error('Erro ao salvar avisos:', err));
+    },
+
+    requestVersion() {
+        const controller = navigator.serviceWorker.controller;
+        if (controller) controller.postMessage({ type: 'GET_VERSION' });
+    },
+
+    renderVersion(version) {
+        this.version = version;
+        document.querySelectorAll('[data-app-version]').forEach(el => {
+            el.textContent = version;
+        });
+    },
+
+    promptUpdate(worker) {
+        ui.showToast('Nova versão disponível', {
+            label: 'Atualizar',
+            run: () => worker.postMessage({ type: 'SKIP_WAITING' })
+        }, 0);
     }
 };
 
 // ==========================================
 // BOOTSTRAP
 // ==========================================
-window.addEventListener('DOMContentLoaded', () => {
-    Store.init();
+window.addEventListener('DOMContentLoaded', async () => {
+    await Store.init();
+    pwa.init();
 
     // Onboarding Check
     const hasMei = Store.data.accounts.some(a => a.type === 'mei');
@@ -1543,4 +6546,17 @@ window.addEventListener('DOMContentLoaded', () => {
     } else {
         router.navigate('work');
     }
+
+    // Aberto por uma notificação com o app fechado (sw.js: ?alert=paid|value|open&id=... ou &cardId=...&invoice=...)
+    const params = new URLSearchParams(location.search);
+    if (params.has('alert')) {
+        history.replaceState(null, '', location.pathname);
+        Actions.openDueAlert(params.get('alert'), {
+            id: params.get('id'),
+            recurringId: params.get('recurringId'),
+            occurrence: params.get('occurrence'),
+            cardId: params.get('cardId'),
+            invoice: params.get('invoice')
+        });
+    }
 });
@@ -0,0 +1,7 @@
+/**
+ * Versão do Safe-Insert.
+ *
+ * Compartilhada entre a página (index.html) e o service worker (sw.js via importScripts).
+ * Incremente a cada publicação: o nome do cache muda e o app oferece a atualização.
+ */
+const APP_VERSION = '1.1.0';
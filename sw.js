@@ -0,0 +1,187 @@
+/**
+ * Safe-Insert PWA - Service Worker
+ *
+ * - Pré-cache de todos os arquivos do app (incluindo Tailwind/Lucide locais)
+ * - Cache versionado por APP_VERSION (js/version.js)
+ * - A nova versão só assume após o usuário aceitar o aviso "Nova versão disponível"
+ * - Avisos de vencimento: mostra as notificações da agenda calculada pela página (Store.getDueAlerts)
+ */
+importScripts('js/version.js');
+
+const CACHE_PREFIX = 'safe-insert-';
+const CACHE_NAME = `${CACHE_PREFIX}v${APP_VERSION}`;
+
+const ASSETS = [
+    './',
+    './index.html',
+    './manifest.json',
+    './app_icon.png',
+    './js/version.js',
+    './js/app.js',
+    './js/vendor/tailwindcss-3.4.10.js',
+    './js/vendor/lucide-0.320.0.min.js'
+];
+
+self.addEventListener('install', event => {
+    // cache: 'reload' evita copiar arquivos antigos do cache HTTP para a nova versão
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(ASSETS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    const msg = event.data || {};
+
+    if (msg.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (msg.type === 'GET_VERSION') {
+        event.source.postMessage({ type: 'VERSION', version: APP_VERSION });
+    } else if (msg.type === 'CHECK_ALERTS') {
+        event.waitUntil(showDueAlerts(msg.schedule, msg.log, event.source));
+    }
+});
+
+// ==========================================
+// Avisos de vencimento
+// ==========================================
+const DATA_DB = 'safe-insert'; // Mesmo banco do app (DB em js/app.js)
+
+// Com o app fechado (Chrome com o app instalado)
+self.addEventListener('periodicsync', event => {
+    if (event.tag === 'due-alerts') event.waitUntil(showDueAlerts());
+});
+
+self.addEventListener('notificationclick', event => {
+    const notification = event.notification;
+    const action = event.action || 'open';
+    const data = notification.data || {};
+    notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list => {
+            const client = list[0];
+            if (client) {
+                client.postMessage({ type: 'NOTIFICATION_ACTION', action, data });
+                return client.focus();
+            }
+            const params = new URLSearchParams({ alert: action });
+            Object.entries(data).forEach(([key, value]) => params.set(key, value));
+            return self.clients.openWindow(`./?${params}`);
+        })
+    );
+});
+
+// schedule: [{ tag, notifyOn, until, title, body, data }] (YYYY-MM-DD no fuso local)
+// pageLog/client: registro de avisos mandado pela página quando ela não usa IndexedDB (localStorage)
+async function showDueAlerts(schedule, pageLog, client) {
+    const db = await openDataDb();
+    try {
+        await notifyPending(db, schedule, pageLog, client);
+    } finally {
+        // Conexão aberta bloquearia a atualização de versão do banco pela página
+        if (db) db.close();
+    }
+}
+
+async function notifyPending(db, schedule, pageLog, client) {
+    const settings = db ? await readMeta(db, 'notifications') : null;
+    if (db && !(settings && settings.enabled)) return;
+    if (!schedule) schedule = db ? await readMeta(db, 'alertSchedule') || [] : [];
+
+    // Já mostrados (tag -> dia), para não repetir a cada abertura do app.
+    // Sem onde guardar esse registro, não avisa: repetiria a cada vez que o app volta ao foco
+    if (!db && !(pageLog && client)) return;
+    const log = db ? await readMeta(db, 'alertLog') || {} : pageLog;
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    const pending = schedule.filter(a => a.notifyOn <= today && a.until >= today && !log[a.tag]);
+    for (const alert of pending) {
+        await self.registration.showNotification(alert.title, {
+            body: alert.body,
+            tag: alert.tag,
+            icon: './app_icon.png',
+            badge: './app_icon.png',
+            data: alert.data,
+            actions: [
+                { action: 'paid', title: 'Marcar como paga' },
+                { action: 'value', title: 'Definir valor' }
+            ]
+        });
+        log[alert.tag] = today;
+    }
+
+    if (pending.length > 0) {
+        // Mantém só os últimos 60 dias
+        const limit = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        Object.keys(log).forEach(tag => {
+            if (log[tag] < limit) delete log[tag];
+        });
+        if (db) await writeMeta(db, 'alertLog', log);
+        else client.postMessage({ type: 'ALERT_LOG', log });
+    }
+}
+
+function openDataDb() {
+    return new Promise(resolve => {
+        const req = indexedDB.open(DATA_DB);
+        // Banco ainda não criado pelo app: não cria nada aqui
+        req.onupgradeneeded = () => req.transaction.abort();
+        req.onsuccess = () => {
+            const db = req.result;
+            if (db.objectStoreNames.contains('meta')) return resolve(db);
+            // Fecha para não bloquear a criação/atualização do banco pela página
+            db.close();
+            resolve(null);
+        };
+        req.onerror = () => resolve(null);
+    });
+}
+
+function readMeta(db, key) {
+    return new Promise(resolve => {
+        const req = db.transaction('meta', 'readonly').objectStore('meta').get(key);
+        req.onsuccess = () => resolve(req.result ? req.result.value : null);
+        req.onerror = () => resolve(null);
+    });
+}
+
+function writeMeta(db, key, value) {
+    return new Promise(resolve => {
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key, value });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => resolve();
+    });
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    if (new URL(request.url).origin !== self.location.origin) return;
+
+    // App de página única: toda navegação abre o index.html em cache
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});